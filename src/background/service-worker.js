@@ -7,13 +7,56 @@
  * ---------------------------------------------------------------------------
  * This extension stores the following data locally via chrome.storage.local:
  *
- * - blocklist: Array of user-specified domain strings to block.
+ * - blocklist: Array of user-specified site patterns to block (domains,
+ *   domain/path prefixes, *.domain wildcards, or keyword:/regex: URL
+ *   patterns). User-initiated. Not transmitted externally.
+ *
+ * - siteOptions: Per-blocklist-entry options (also block embedded frames,
+ *   media and XHR requests; speed-bump countdown; redirect; unlock
+ *   challenge). User-initiated. Not transmitted externally.
+ *
+ * - siteBudgets: Map of site patterns to a daily time allowance in minutes.
+ *   User-initiated. Not transmitted externally.
+ *
+ * - siteVisitLimits: Map of site patterns to a daily number of visits.
+ *   User-initiated. Not transmitted externally.
+ *
+ * - overrideLog: The most recent overrides (domain, time, and the intention
+ *   typed at a speed bump). User-initiated. Not transmitted externally.
+ *
+ * - overrideCooldowns: Map of domains to when they can next be overridden.
  *   User-initiated. Not transmitted externally.
  *
  * - activePrebuiltLists: Array of prebuilt list IDs the user has enabled.
  *   User-initiated. Not transmitted externally.
  *
- * - timerState: Current focus timer status, remaining time, cycle count.
+ * - nuclearSnapshot: Copy of the blocklist and enabled prebuilt lists taken
+ *   when nuclear mode starts, kept until it ends. Automatically managed.
+ *   Not transmitted externally.
+ *
+ * - lastScheduledNuclear: Start time of the last schedule window that turned
+ *   on nuclear mode, so each window starts it only once. Automatically
+ *   managed. Not transmitted externally.
+ *
+ * - recentDurations: The last few custom focus lengths started from the
+ *   popup, newest first. Automatically managed. Not transmitted externally.
+ *
+ * - allowlist: Array of user-specified site patterns that stay reachable
+ *   even when they match the blocklist. User-initiated. Not transmitted.
+ *
+ * - whitelist: Array of work site patterns that remain reachable when a
+ *   session runs in whitelist-only mode. User-initiated. Not transmitted.
+ *
+ * - overrides: Map of temporarily overridden domains to their expiry time.
+ *   User-initiated. Not transmitted externally.
+ *
+ * - ruleIds / nextRuleId: Mapping of blocking rule keys (e.g. block:<pattern>)
+ *   to declarativeNetRequest rule ids, per rule scope (dynamic / session).
+ *   Automatically managed. Not transmitted.
+ *
+ * - timerState: Current focus timer status, remaining time, cycle count,
+ *   whether it counts up (Flowtime), and when the session was paused and
+ *   for how long.
  *   Automatically managed during sessions. Not transmitted externally.
  *
  * - sessionHistory: Array of completed focus session records (date, duration,
@@ -21,14 +64,22 @@
  *   for free tier or 90 days for Pro. Not transmitted externally.
  *
  * - todayStats: Aggregated daily stats (focus minutes, sessions completed,
- *   total distraction attempts, per-site attempt counts, focus score).
+ *   total distraction attempts, per-site attempt counts, seconds used of
+ *   each time budget, visits used of each visit limit, overrides used,
+ *   focus score).
  *   Automatically managed. Not transmitted externally.
  *
  * - streak: Current and last-active-date for daily focus streak tracking.
  *   Automatically managed. Not transmitted externally.
  *
  * - settings: User preferences (theme, sound, volume, notification muting,
- *   schedule config, nuclear mode state). User-initiated. Not transmitted.
+ *   focus timer lengths and pause blocking, saved session lengths,
+ *   schedules with their own site lists, override policy, incognito
+ *   blocking, nuclear mode state). User-initiated. Not transmitted.
+ *
+ * - settingsLock: Optional lock on settings changes: whether it uses a
+ *   password or a partner-held code, plus a salted PBKDF2 hash of it (never
+ *   the secret itself). User-initiated. Not transmitted externally.
  *
  * - isPro: Boolean flag for Pro feature gating. User-set. Not transmitted.
  *
@@ -45,7 +96,14 @@
  *   message, stack trace snippet). Auto-pruned after 7 days. Not transmitted.
  *
  * This extension also uses chrome.storage.session for the ephemeral
- * focusActive flag (cleared on browser close). Not transmitted.
+ * focusActive flag, the budgetTracking marker (which budgeted site is
+ * being timed), visitTabs (which visit-limited site each tab is on),
+ * overrideWaits (when each pre-override wait ends), overridesInUse (which
+ * overrides have had a tab on their site), overrideChallenges (the
+ * unlock challenge issued for each site and its expected answer),
+ * blockedTabUrls (the URL the detector blocked in each tab) and
+ * settingsUnlock (until when a settings lock is open, and recent wrong
+ * attempts); all cleared on browser close. Not transmitted.
  *
  * NETWORK REQUESTS: This extension makes ZERO network requests. All data
  * is stored locally and never transmitted to any external server. The only
@@ -61,11 +119,35 @@ import {
   getTodayStats,
   recordDistraction,
   recordSession,
-  getFullBlocklist
+  recordSessionExtension,
+  recordBudgetTime,
+  recordVisit,
+  recordOverride,
+  getFullBlocklist,
+  getSchedules,
+  getScheduleBlocklist
 } from '../shared/storage.js';
 
 import { logError } from '../shared/error-logger.js';
 import { isPro, getProLimits } from '../shared/pro.js';
+import {
+  parseEntry,
+  parseEntries,
+  compileCondition,
+  compilePathRegex,
+  matchesEntry,
+  findMatchingEntry,
+  parseRedirectTarget,
+  isRedirectLoop
+} from '../shared/rules.js';
+import {
+  isValidTime,
+  isValidDate,
+  getScheduleWindow,
+  isScheduleActive,
+  getNextScheduleStart,
+  toDateKey
+} from '../shared/schedule.js';
 
 // ---------------------------------------------------------------------------
 // Constants
@@ -74,6 +156,8 @@ import { isPro, getProLimits } from '../shared/pro.js';
 const ALARM_TICK = 'focus-tick';
 const ALARM_SCHEDULE_CHECK = 'schedule-check';
 const ALARM_NUCLEAR_END = 'nuclear-end';
+const ALARM_SCHEDULED_NUCLEAR = 'scheduled-nuclear';
+const ALARM_PAUSE_END = 'pause-end';
 const ALARM_WEEKLY_SUMMARY = 'weekly-summary';
 const ALARM_WEEKLY_USAGE_RESET = 'weekly-usage-reset';
 
@@ -81,20 +165,165 @@ const DEFAULTS_TIMER = {
   focusDuration: 25,
   shortBreakDuration: 5,
   longBreakDuration: 15,
-  cyclesToLongBreak: 4
+  cyclesToLongBreak: 4,
+  blockWhilePaused: true
+};
+
+// Allowed range of each timer profile field, with its name for errors
+const TIMER_PROFILE_BOUNDS = {
+  focusDuration: { min: 1, max: 480, label: 'Focus length', unit: ' minutes' },
+  shortBreakDuration: { min: 1, max: 60, label: 'Short break', unit: ' minutes' },
+  longBreakDuration: { min: 1, max: 120, label: 'Long break', unit: ' minutes' },
+  cyclesToLongBreak: { min: 1, max: 12, label: 'Sessions before a long break', unit: '' }
 };
 
+// Focus session lengths in minutes. Free users can start the popup's preset
+// lengths (and the timer profile's); any other length needs Pro.
+const MIN_SESSION_MINUTES = 1;
+const MAX_SESSION_MINUTES = 480;
+const FREE_SESSION_DURATIONS = [25, 45];
+const MAX_DURATION_PRESETS = 6;
+const MAX_RECENT_DURATIONS = 5;
+
+// A Flowtime session counts up until the user finishes it (or it reaches
+// MAX_SESSION_MINUTES); its break is this fraction of the time focused
+const FLOWTIME_BREAK_RATIO = 1 / 5;
+
+// Minutes a focus session can be extended by, in the order of the
+// session-complete notification's buttons
+const EXTEND_SESSION_MINUTES = [5, 15];
+
+// Pauses per focus session, and how long each may last before the session
+// resumes on its own
+const MAX_PAUSES_PER_SESSION = 3;
+const MAX_PAUSE_MINUTES = 10;
+
 const BADGE_COLORS = {
   focus: '#22c55e',
   break: '#3b82f6',
+  paused: '#94a3b8',
   nuclear: '#ef4444'
 };
 
 const BLOCK_PAGE_PATH = 'src/blocked/blocked.html';
 
+// DNR rule priorities, compared across the dynamic and session scopes:
+// allowlist exceptions and overrides outrank every block; blocklist,
+// schedule, nuclear and daily limit redirects outrank whitelist-mode work
+// sites, so a whitelist session can't unblock them; work sites outrank the
+// whitelist-mode catch-all
+const RULE_PRIORITY_CATCH_ALL = 1;
+const RULE_PRIORITY_WORK = 2;
+const RULE_PRIORITY_BLOCK = 3;
+const RULE_PRIORITY_ALLOW = 4;
+
 // Maximum number of sites allowed in the blocklist (safety limit)
 const MAX_BLOCKLIST_SIZE = 500;
 
+// Maximum number of allowlist exceptions / whitelist sites (safety limit)
+const MAX_ALLOWLIST_SIZE = 200;
+
+// Schedules: a safety cap for Pro's unlimited schedules, name length, and
+// time ranges and exception dates per schedule
+const MAX_SCHEDULES = 20;
+const MAX_SCHEDULE_NAME_LENGTH = 50;
+const MAX_SCHEDULE_RANGES = 6;
+const MAX_SCHEDULE_EXCEPTIONS = 60;
+
+// Browser cap on regexFilter rules across the dynamic and session scopes
+const MAX_REGEX_RULES = chrome.declarativeNetRequest.MAX_NUMBER_OF_REGEX_RULES || 1000;
+
+// Extra request types blocked for entries with the embeds / requests options.
+// Exceptions also cover sub_frame so allowed sites can still be embedded.
+const EMBED_RESOURCE_TYPES = ['sub_frame'];
+const REQUEST_RESOURCE_TYPES = ['media', 'xmlhttprequest'];
+const EXCEPTION_RESOURCE_TYPES = ['main_frame', 'sub_frame'];
+
+// Daily time budgets: how many sites, and the allowance range in minutes
+const MAX_BUDGETS = 50;
+const MAX_BUDGET_MINUTES = 720;
+
+// Speed bumps: countdown range in seconds, and the stated intention's length
+const SPEED_BUMP_MIN_SECONDS = 5;
+const SPEED_BUMP_MAX_SECONDS = 300;
+const MAX_INTENTION_LENGTH = 200;
+
+// Overrides kept in the override log, newest last
+const MAX_OVERRIDE_LOG = 100;
+
+// Override policy: unlimited, no cooldown and no wait unless the user opts in
+const DEFAULT_OVERRIDE_POLICY = { maxPerDay: 0, cooldownMinutes: 0, escalatingWait: false, challenge: null };
+const MAX_OVERRIDES_PER_DAY = 50;
+const MAX_OVERRIDE_COOLDOWN_MINUTES = 240;
+
+// Override lengths offered in the block page's confirmation, in minutes
+const OVERRIDE_DURATIONS = [1, 5, 15];
+const DEFAULT_OVERRIDE_MINUTES = 5;
+
+// Unlock challenges an override can require, globally or per blocklist entry.
+// The service worker issues each one with a one-time token and checks the
+// answer, so the block page can't be scripted past it.
+const CHALLENGE_TYPES = ['typing', 'math', 'hold'];
+const CHALLENGE_MATH_PROBLEMS = 5;
+const CHALLENGE_HOLD_SECONDS = 60;
+const CHALLENGE_TTL_MS = 10 * 60 * 1000;
+const CHALLENGE_PARAGRAPHS = [
+  'I am choosing to leave my work for this site. I know what I was doing before I got here, and I know it will still be waiting for me when I come back.',
+  'The urge to check something usually passes within a few minutes. If I still need this site after typing all of this out, I will use it on purpose and then close it.',
+  'Attention is the raw material of everything I make. Each time I switch away, it takes a while to get back to where I was, so this had better be worth it.',
+  'I set up this block while I was thinking clearly about what matters to me today. I am overriding that decision now, and I accept that this visit counts against my focus.'
+];
+
+// Settings lock. Unlocking opens settings for a few minutes; repeated wrong
+// attempts pause unlocking for a minute.
+const LOCK_HASH_ITERATIONS = 210000;
+const SETTINGS_UNLOCK_MINUTES = 5;
+const MIN_LOCK_PASSWORD_LENGTH = 6;
+const MAX_UNLOCK_ATTEMPTS = 5;
+const UNLOCK_RETRY_MS = 60 * 1000;
+// No 0/O or 1/I so a partner can read the code out loud
+const PARTNER_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const PARTNER_CODE_LENGTH = 12;
+
+const SETTINGS_LOCKED_ERROR = 'Settings are locked. Unlock them to make changes.';
+
+// Messages that change settings, lists or blocking; a settings lock gates them all
+const LOCKED_MESSAGE_TYPES = new Set([
+  'STOP_SESSION',
+  'UPDATE_BLOCKLIST',
+  'UPDATE_ALLOWLIST',
+  'UPDATE_WHITELIST',
+  'UPDATE_SITE_OPTIONS',
+  'UPDATE_BUDGETS',
+  'UPDATE_VISIT_LIMITS',
+  'TOGGLE_PREBUILT_LIST',
+  'UPDATE_OVERRIDE_POLICY',
+  'UPDATE_SCHEDULES',
+  'UPDATE_TIMER_PROFILE',
+  'UPDATE_DURATION_PRESETS',
+  'UPDATE_INCOGNITO_BLOCKING',
+  'SET_SETTINGS_LOCK',
+  'REMOVE_SETTINGS_LOCK',
+  'DELETE_ALL_DATA'
+]);
+
+// Escalating wait before the 1st, 2nd, 3rd and later overrides of the day
+const OVERRIDE_WAIT_STEPS = [10, 30, 120];
+
+// Daily visit limits: how many sites, and the allowance range in visits
+const MAX_VISIT_LIMITS = 50;
+const MAX_VISITS_PER_DAY = 100;
+
+// Longest gap counted in one budget flush; flushes run at least every
+// minute, so anything longer means the machine slept with the tab open
+const MAX_BUDGET_FLUSH_SECONDS = 120;
+
+// Maximum iframe URLs checked per CHECK_EMBEDS message
+const MAX_EMBED_CHECKS = 50;
+
+// Site lists stored as patterns; each compiles to its own set of DNR rules
+const SITE_LIST_KEYS = ['blocklist', 'allowlist', 'whitelist'];
+
 // Domain validation regex: bare domain like "example.com" or "sub.example.co.uk"
 const DOMAIN_REGEX = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+$/;
 
@@ -164,63 +393,404 @@ async function setSessionFlag(active) {
 // Blocking Rules (declarativeNetRequest)
 // ---------------------------------------------------------------------------
 
-async function updateBlockingRules(domains) {
-  try {
-    const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
-    const existingIds = existingRules.map(r => r.id);
+/**
+ * Build the block page path for a domain, used as the redirect target of
+ * host-based blocking rules.
+ * @param {string} domain
+ * @returns {string}
+ */
+function blockPagePath(domain) {
+  return '/' + BLOCK_PAGE_PATH + '?domain=' + encodeURIComponent(domain);
+}
 
-    if (existingIds.length > 0) {
-      await chrome.declarativeNetRequest.updateDynamicRules({
-        removeRuleIds: existingIds
-      });
-    }
+/**
+ * Build the redirect for a blocking rule. Keyword and regex entries have no
+ * host, and path entries block only part of a site, so their rules pass the
+ * whole original URL (\0); the block page derives the domain from it and
+ * continues there after an override.
+ * @param {object} entry — result of parseEntry()
+ * @returns {object} DNR redirect
+ */
+function blockRedirect(entry) {
+  if (entry.host && entry.type !== 'path') {
+    return { extensionPath: blockPagePath(entry.host) };
+  }
+  return { regexSubstitution: chrome.runtime.getURL(BLOCK_PAGE_PATH) + '?url=\\0' };
+}
 
-    if (!domains || domains.length === 0) {
-      return;
-    }
+/**
+ * The condition of a rule using blockRedirect(). Path entries match by
+ * regex there, since only a regexFilter rule can substitute the URL.
+ * @param {object} entry — result of parseEntry()
+ * @returns {{ urlFilter?: string, regexFilter?: string }}
+ */
+function blockCondition(entry) {
+  return entry.type === 'path' ? compilePathRegex(entry) : compileCondition(entry);
+}
 
-    const rules = [];
-    let ruleId = 1;
+/**
+ * The productive site a blocklist entry redirects to, or null to use the
+ * block page. A destination that is itself blocked falls back to the block
+ * page so the browser can't loop between rules.
+ * @param {object|undefined} options — the entry's siteOptions
+ * @param {object[]} blockedEntries — parsed blocklist
+ * @param {object[]} exceptionEntries — parsed allowlist
+ * @returns {string|null}
+ */
+function redirectTarget(options, blockedEntries, exceptionEntries) {
+  if (!options || !options.redirectTo) return null;
+  const url = parseRedirectTarget(options.redirectTo);
+  if (!url || isRedirectLoop(url, blockedEntries, exceptionEntries)) return null;
+  return url.href;
+}
+
+/**
+ * Build a rule without an id; ids are assigned by syncRules().
+ * @param {number} priority
+ * @param {object} action
+ * @param {object} condition — urlFilter/regexFilter fragment
+ * @param {string[]} [resourceTypes] — defaults to top-level pages only
+ * @returns {object}
+ */
+function frameRule(priority, action, condition, resourceTypes = ['main_frame']) {
+  return {
+    priority,
+    action,
+    condition: { ...condition, resourceTypes }
+  };
+}
 
-    for (const domain of domains) {
-      const cleanDomain = domain.replace(/^www\./, '').replace(/\/.*$/, '');
+/**
+ * Build the rule blocking an entry's embedded frames (and, optionally, its
+ * media and XHR requests) inside other sites. Requests made by the entry's
+ * own host are exempt, so allowlisted pages on that host keep working.
+ * @param {object} entry — result of parseEntry()
+ * @param {{ blockEmbeds?: boolean, blockRequests?: boolean }} options
+ * @returns {object|null} rule without id, or null if the entry has no options
+ */
+function embedRule(entry, options) {
+  if (!options || !options.blockEmbeds) return null;
+
+  const resourceTypes = options.blockRequests
+    ? [...EMBED_RESOURCE_TYPES, ...REQUEST_RESOURCE_TYPES]
+    : [...EMBED_RESOURCE_TYPES];
+  const condition = { ...compileCondition(entry) };
+  if (entry.host) {
+    condition.excludedInitiatorDomains = [entry.host];
+  }
+  return frameRule(RULE_PRIORITY_BLOCK, { type: 'block' }, condition, resourceTypes);
+}
 
-      rules.push({
-        id: ruleId++,
-        priority: 1,
-        action: {
-          type: 'redirect',
-          redirect: {
-            extensionPath: '/src/blocked/blocked.html?domain=' + encodeURIComponent(cleanDomain)
-          }
-        },
-        condition: {
-          urlFilter: '||' + cleanDomain,
-          resourceTypes: ['main_frame']
+/**
+ * Compute the rules for one blocking source, keyed by a stable identity:
+ *   block:<pattern>  — blocklist redirect (block page or productive site)
+ *   embed:<pattern>  — blocklist entry's embedded frames / requests
+ *   allow:<pattern>  — allowlist exception
+ *   work:<pattern>   — whitelist-mode work site
+ *   whitelist-mode   — whitelist-mode catch-all redirect
+ * (Used-up daily limits add budget:<pattern> and visits:<pattern> rules,
+ * see buildLimitRules.)
+ * Each scope carries its own allowlist rules so it is complete on its own.
+ * @param {string[]} domains — full blocklist (manual + prebuilt)
+ * @param {boolean} whitelistMode — block everything but the work sites
+ * @param {object} [lists] — allowlist, whitelist and siteOptions to use
+ *   instead of the stored ones
+ * @returns {Promise<Map<string, object>>} key → rule without id
+ */
+async function buildBlockingRules(domains, whitelistMode, lists) {
+  const rules = new Map();
+  const { allowlist, whitelist, siteOptions } = lists || await getStorage(['allowlist', 'whitelist', 'siteOptions']);
+
+  if (whitelistMode) {
+    // Catch-all redirect for every page; work sites are allowed below.
+    // The regex spans the whole URL so the substitution replaces all of it.
+    rules.set('whitelist-mode', frameRule(
+      RULE_PRIORITY_CATCH_ALL,
+      {
+        type: 'redirect',
+        redirect: {
+          regexSubstitution: chrome.runtime.getURL(BLOCK_PAGE_PATH) + '?domain=\\1&mode=whitelist'
         }
-      });
+      },
+      { regexFilter: '^https?://(?:www\\.)?([^/?#:]+).*$' }
+    ));
+
+    for (const entry of parseEntries(whitelist)) {
+      rules.set('work:' + entry.pattern, frameRule(RULE_PRIORITY_WORK, { type: 'allow' }, compileCondition(entry)));
+    }
+  } else {
+    // Each entry compiles to a host, path, wildcard, keyword or regex condition
+    const entries = parseEntries(domains);
+    const exceptions = parseEntries(allowlist);
+    for (const entry of entries) {
+      const redirectTo = redirectTarget(siteOptions[entry.pattern], entries, exceptions);
+      rules.set('block:' + entry.pattern, frameRule(
+        RULE_PRIORITY_BLOCK,
+        { type: 'redirect', redirect: redirectTo ? { url: redirectTo } : blockRedirect(entry) },
+        blockCondition(entry)
+      ));
+
+      const embed = embedRule(entry, siteOptions[entry.pattern]);
+      if (embed) {
+        rules.set('embed:' + entry.pattern, embed);
+      }
     }
+  }
 
-    await chrome.declarativeNetRequest.updateDynamicRules({
-      addRules: rules
-    });
-  } catch (err) {
-    console.error('[SW] updateBlockingRules failed:', err);
+  // Allowlist exceptions outrank the redirects above
+  for (const [key, rule] of buildAllowlistRules(allowlist)) {
+    rules.set(key, rule);
   }
+
+  return rules;
 }
 
-async function clearBlockingRules() {
-  try {
-    const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
-    const existingIds = existingRules.map(r => r.id);
+/**
+ * Allow rules for the allowlist, keyed allow:<pattern>.
+ * @param {string[]} allowlist
+ * @returns {Map<string, object>}
+ */
+function buildAllowlistRules(allowlist) {
+  const rules = new Map();
+  for (const entry of parseEntries(allowlist)) {
+    rules.set('allow:' + entry.pattern, frameRule(
+      RULE_PRIORITY_ALLOW, { type: 'allow' }, compileCondition(entry), EXCEPTION_RESOURCE_TYPES
+    ));
+  }
+  return rules;
+}
 
-    if (existingIds.length > 0) {
-      await chrome.declarativeNetRequest.updateDynamicRules({
-        removeRuleIds: existingIds
-      });
+/**
+ * Redirect rules for daily limits used up today: time budgets keyed
+ * budget:<pattern> and visit limits keyed visits:<pattern>. These apply
+ * until midnight, with or without a session.
+ * @returns {Promise<Map<string, object>>}
+ */
+async function buildLimitRules() {
+  const rules = new Map();
+  const limits = [
+    ...(await getBudgetStatus()).map(status => ['budget:', status]),
+    ...(await getVisitLimitStatus()).map(status => ['visits:', status])
+  ];
+  for (const [prefix, status] of limits) {
+    if (status.exhausted) {
+      rules.set(prefix + status.entry.pattern, frameRule(
+        RULE_PRIORITY_BLOCK,
+        { type: 'redirect', redirect: blockRedirect(status.entry) },
+        blockCondition(status.entry)
+      ));
+    }
+  }
+  return rules;
+}
+
+/**
+ * Allow rules for live overrides, keyed override:<host>. They outrank
+ * redirects in both scopes, since DNR compares priorities across rulesets.
+ * @returns {Promise<Map<string, object>>}
+ */
+async function buildOverrideRules() {
+  const rules = new Map();
+  const { overrides } = await getStorage('overrides');
+  const now = Date.now();
+  for (const [host, expiresAt] of Object.entries(overrides || {})) {
+    if (expiresAt > now) {
+      rules.set('override:' + host, frameRule(
+        RULE_PRIORITY_ALLOW, { type: 'allow' }, { urlFilter: '||' + host + '^' }, EXCEPTION_RESOURCE_TYPES
+      ));
     }
+  }
+  return rules;
+}
+
+/**
+ * Serialize a rule's priority, action and condition with sorted keys so
+ * an installed rule can be compared with a freshly built one.
+ * @param {object} rule
+ * @returns {string}
+ */
+function ruleSignature(rule) {
+  const sortKeys = (value) => {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().reduce((out, key) => {
+        out[key] = sortKeys(value[key]);
+        return out;
+      }, {});
+    }
+    return value;
+  };
+  return JSON.stringify(sortKeys({ priority: rule.priority, action: rule.action, condition: rule.condition }));
+}
+
+// Dynamic rules persist across browser restarts (schedule, nuclear mode);
+// session rules are dropped by the browser on restart (focus sessions, overrides)
+const RULE_SCOPES = {
+  dynamic: {
+    get: () => chrome.declarativeNetRequest.getDynamicRules(),
+    update: (options) => chrome.declarativeNetRequest.updateDynamicRules(options)
+  },
+  session: {
+    get: () => chrome.declarativeNetRequest.getSessionRules(),
+    update: (options) => chrome.declarativeNetRequest.updateSessionRules(options)
+  }
+};
+
+/**
+ * Bring one scope's installed rules in line with the desired set in a single
+ * update call, so unchanged rules are never removed and there is no
+ * unprotected gap. Each key keeps its rule id across syncs via the persisted
+ * ruleIds map; ids of keys that are not installed right now are kept while
+ * their entry is still on a stored list.
+ * @param {'dynamic'|'session'} scope
+ * @param {Map<string, object>} desired — key → rule without id
+ * @param {Set<string>} retained — keys whose ids are worth keeping
+ */
+async function syncRules(scope, desired, retained) {
+  const api = RULE_SCOPES[scope];
+  const { ruleIds, nextRuleId } = await getStorage(['ruleIds', 'nextRuleId']);
+  const scopeIds = (ruleIds && ruleIds[scope]) || {};
+  const installed = new Map((await api.get()).map(rule => [rule.id, rule]));
+
+  const ids = {};
+  let nextId = Math.max(nextRuleId || 1, 1);
+  const addRules = [];
+  const removeRuleIds = [];
+
+  for (const [key, rule] of desired) {
+    const id = scopeIds[key] || nextId++;
+    ids[key] = id;
+
+    const current = installed.get(id);
+    if (current && ruleSignature(current) === ruleSignature(rule)) continue;
+    if (current) removeRuleIds.push(id);
+    addRules.push({ id, ...rule });
+  }
+
+  const wantedIds = new Set(Object.values(ids));
+  for (const id of installed.keys()) {
+    if (!wantedIds.has(id)) removeRuleIds.push(id);
+  }
+
+  if (addRules.length > 0 || removeRuleIds.length > 0) {
+    await api.update({ removeRuleIds, addRules });
+  }
+
+  // Keep ids for entries that still exist so the next session reuses them
+  for (const [key, id] of Object.entries(scopeIds)) {
+    if (!(key in ids) && retained.has(key)) ids[key] = id;
+  }
+
+  // DATA: Stores rule-key to DNR rule id mapping. Automatically managed. Not transmitted externally.
+  await setStorage({ ruleIds: { ...ruleIds, [scope]: ids }, nextRuleId: nextId });
+}
+
+/**
+ * Rule keys for every entry on a stored site list, whether or not it is
+ * installed right now.
+ * @param {string[]} domains — full blocklist
+ * @returns {Promise<Set<string>>}
+ */
+async function getRetainedRuleKeys(domains) {
+  const { allowlist, whitelist } = await getStorage(['allowlist', 'whitelist']);
+  const keys = new Set(['whitelist-mode']);
+  for (const entry of parseEntries(domains)) {
+    keys.add('block:' + entry.pattern);
+    keys.add('embed:' + entry.pattern);
+  }
+  for (const budget of await getBudgetStatus()) keys.add('budget:' + budget.entry.pattern);
+  for (const limit of await getVisitLimitStatus()) keys.add('visits:' + limit.entry.pattern);
+  for (const entry of parseEntries(allowlist)) keys.add('allow:' + entry.pattern);
+  for (const entry of parseEntries(whitelist)) keys.add('work:' + entry.pattern);
+  return keys;
+}
+
+// Syncs read and write the ruleIds map, so they run one at a time
+let ruleSyncChain = Promise.resolve();
+
+function queueRuleSync(task) {
+  const run = ruleSyncChain.then(task);
+  ruleSyncChain = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Work out which rule scopes should be blocking right now, and how:
+ * nuclear mode or open schedules drive the dynamic scope, a focus session
+ * drives the session scope.
+ * @returns {Promise<{ dynamic: { whitelistMode: boolean }|null, session: { whitelistMode: boolean }|null, nuclear: boolean, schedules: object[] }>}
+ */
+async function getBlockingState() {
+  const { settings } = await getStorage('settings');
+  const timerState = await getTimerState();
+  const nuclear = await isNuclearActive();
+  const schedules = await getActiveSchedules();
+
+  return {
+    dynamic: (nuclear || schedules.length > 0)
+      ? { whitelistMode: nuclear && settings.nuclearMode.whitelistMode === true }
+      : null,
+    session: isSessionBlocking(timerState)
+      ? { whitelistMode: timerState.whitelistMode === true }
+      : null,
+    nuclear,
+    schedules
+  };
+}
+
+/**
+ * Rebuild the installed rules from timerState, nuclearMode and the schedule.
+ * This is the only routine that installs or removes blocking rules; every
+ * state change (and restoreState on startup) calls it.
+ *   - nuclear / schedule blocking and used-up daily limits → dynamic rules
+ *   - focus-session blocking and overrides → session rules
+ * Also keeps the detector's focusActive flag in step.
+ * @returns {Promise<object|null>} error response if the browser refused the
+ *   rules, or null
+ */
+async function reconcileBlockingRules() {
+  try {
+    await queueRuleSync(async () => {
+      const blocking = await getBlockingState();
+      const limitRules = await buildLimitRules();
+      const blockingActive = !!(blocking.dynamic || blocking.session || limitRules.size > 0);
+
+      const domains = await getFullBlocklist();
+      // Open schedules block their own lists; nuclear mode adds the full blocklist
+      const scheduleDomains = await getScheduleBlocklist(blocking.schedules);
+      const dynamicDomains = blocking.nuclear ? [...new Set([...domains, ...scheduleDomains])] : scheduleDomains;
+
+      const dynamicRules = blocking.dynamic
+        ? await buildBlockingRules(dynamicDomains, blocking.dynamic.whitelistMode)
+        : new Map();
+      if (limitRules.size > 0) {
+        for (const [key, rule] of limitRules) dynamicRules.set(key, rule);
+        // Allowlist exceptions apply to daily limit blocks too
+        if (!blocking.dynamic) {
+          const { allowlist } = await getStorage('allowlist');
+          for (const [key, rule] of buildAllowlistRules(allowlist)) dynamicRules.set(key, rule);
+        }
+      }
+
+      const sessionRules = blocking.session
+        ? await buildBlockingRules(domains, blocking.session.whitelistMode)
+        : new Map();
+      // Nuclear mode allows no overrides, including ones granted before it started
+      if (blockingActive && !blocking.nuclear) {
+        for (const [key, rule] of await buildOverrideRules()) sessionRules.set(key, rule);
+      }
+
+      const { settings } = await getStorage('settings');
+      const allScheduleDomains = await getScheduleBlocklist(getSchedules(settings));
+      const retained = await getRetainedRuleKeys([...domains, ...allScheduleDomains]);
+      await syncRules('dynamic', dynamicRules, retained);
+      await syncRules('session', sessionRules, retained);
+      await setSessionFlag(blockingActive);
+    });
+    return null;
   } catch (err) {
-    console.error('[SW] clearBlockingRules failed:', err);
+    console.error('[SW] reconcileBlockingRules failed:', err);
+    return { error: 'Could not update blocking rules. Your changes are saved but not all of them are enforced yet.' };
   }
 }
 
@@ -239,18 +809,87 @@ async function setTimerState(state) {
   await setStorage({ timerState: state });
 }
 
+/**
+ * Seconds left on the timer. Paused time, finished or ongoing, doesn't count
+ * towards the elapsed time.
+ * @param {object} timerState
+ * @param {number} [now]
+ * @returns {number}
+ */
+function getTimerRemaining(timerState, now = Date.now()) {
+  const pausedMs = (timerState.pausedMs || 0) + (timerState.pausedAt ? now - timerState.pausedAt : 0);
+  const elapsed = Math.floor((now - timerState.startedAt - pausedMs) / 1000);
+  return Math.max(0, timerState.duration - elapsed);
+}
+
+/**
+ * Minutes to show on the focus badge: the time left, or for a Flowtime
+ * session the time focused so far.
+ * @param {object} timerState
+ * @returns {number}
+ */
+function getBadgeMinutes(timerState) {
+  const remaining = getTimerRemaining(timerState);
+  return timerState.flowtime
+    ? Math.floor((timerState.duration - remaining) / 60)
+    : Math.ceil(remaining / 60);
+}
+
+/**
+ * End the current pause in a timerState, in place. A pause counts for at
+ * most MAX_PAUSE_MINUTES, so one that outlived the browser ends on time.
+ * @param {object} timerState
+ * @param {number} [now]
+ */
+function endPause(timerState, now = Date.now()) {
+  const endedAt = Math.min(now, timerState.pausedAt + MAX_PAUSE_MINUTES * 60 * 1000);
+  timerState.pausedMs = (timerState.pausedMs || 0) + (endedAt - timerState.pausedAt);
+  timerState.pausedAt = null;
+}
+
+/**
+ * Whether a focus session is blocking sites: it is running, or paused with
+ * blocking kept on.
+ * @param {object|null} timerState
+ * @returns {boolean}
+ */
+function isSessionBlocking(timerState) {
+  if (!timerState || timerState.status !== 'focus') return false;
+  return !(timerState.pausedAt && timerState.pauseBlocking === false);
+}
+
+/**
+ * The user's Pomodoro cycle, with defaults for anything unset.
+ * @returns {Promise<{ focusDuration: number, shortBreakDuration: number, longBreakDuration: number, cyclesToLongBreak: number }>}
+ */
+async function getTimerProfile() {
+  const { settings } = await getStorage('settings');
+  return { ...DEFAULTS_TIMER, ...(settings.timerProfile || {}) };
+}
+
 // ---------------------------------------------------------------------------
 // Focus Timer
 // ---------------------------------------------------------------------------
 
-async function startFocusSession(durationMinutes) {
+/**
+ * Start a focus session.
+ * @param {number} [durationMinutes] — defaults to the timer profile's focus length
+ * @param {{ whitelistMode?: boolean, flowtime?: boolean }} [options] —
+ *   whitelistMode blocks everything except the whitelist instead of
+ *   blocking the blocklist; flowtime counts up until the user finishes
+ */
+async function startFocusSession(durationMinutes, options = {}) {
   const { settings } = await getStorage('settings');
 
   if (settings.nuclearMode && settings.nuclearMode.active && Date.now() < settings.nuclearMode.endsAt) {
     // Nuclear mode is active; blocking is already locked in. Just start the timer.
   }
 
-  const duration = (durationMinutes || DEFAULTS_TIMER.focusDuration) * 60;
+  const profile = await getTimerProfile();
+  // Flowtime has no set length; MAX_SESSION_MINUTES ends a forgotten one
+  const duration = options.flowtime
+    ? MAX_SESSION_MINUTES * 60
+    : (durationMinutes || profile.focusDuration) * 60;
   const currentState = await getTimerState();
   const cycle = (currentState && currentState.cycle) ? currentState.cycle : 1;
 
@@ -259,16 +898,15 @@ async function startFocusSession(durationMinutes) {
     remaining: duration,
     duration: duration,
     startedAt: Date.now(),
-    cycle: cycle
+    cycle: cycle,
+    whitelistMode: options.whitelistMode === true,
+    flowtime: options.flowtime === true
   };
 
   await setTimerState(timerState);
-  await setSessionFlag(true);
-
-  const domains = await getFullBlocklist();
-  await updateBlockingRules(domains);
+  await reconcileBlockingRules();
 
-  await updateBadge('focus', Math.ceil(duration / 60));
+  await updateBadge('focus', getBadgeMinutes(timerState));
 
   await chrome.alarms.create(ALARM_TICK, { periodInMinutes: 1 });
 }
@@ -283,33 +921,204 @@ async function stopSession() {
   const timerState = await getTimerState();
 
   if (timerState && timerState.status === 'focus') {
-    const elapsed = Math.floor((Date.now() - timerState.startedAt) / 1000);
-    const focusMinutes = Math.floor(elapsed / 60);
+    const elapsed = timerState.duration - getTimerRemaining(timerState);
 
-    await recordSession({
-      duration: timerState.duration,
-      focusMinutes: focusMinutes,
-      completed: false
-    });
+    if (timerState.recordedSeconds) {
+      // Reopened after it completed: only the time since then is new
+      await recordSessionExtension(Math.floor((elapsed - timerState.recordedSeconds) / 60));
+    } else {
+      await recordSession({
+        duration: timerState.duration,
+        focusMinutes: Math.floor(elapsed / 60),
+        completed: false,
+        extendedMinutes: Math.floor((timerState.extendedSeconds || 0) / 60)
+      });
+    }
   }
 
   await setTimerState(null);
   await chrome.alarms.clear(ALARM_TICK);
+  await chrome.alarms.clear(ALARM_PAUSE_END);
 
-  const scheduleActive = await isScheduleActive();
-  if (!scheduleActive) {
-    await clearBlockingRules();
-    await setSessionFlag(false);
-  }
+  // Drops the session's rules; schedule blocking stays in the dynamic rules
+  await reconcileBlockingRules();
 
   await clearBadge();
   return { success: true };
 }
 
+/**
+ * Pause the running focus session. The timer and badge freeze; blocking
+ * stays on unless the timer profile turns it off and settings are unlocked,
+ * since dropping the rules would get around the lock like STOP_SESSION. A
+ * session can be paused MAX_PAUSES_PER_SESSION times, each for at most
+ * MAX_PAUSE_MINUTES.
+ */
+async function pauseSession() {
+  const timerState = await getTimerState();
+  if (!timerState || timerState.status !== 'focus') {
+    return { error: 'Only a running focus session can be paused.' };
+  }
+  if (timerState.pausedAt) {
+    return { error: 'The session is already paused.' };
+  }
+  if ((timerState.pauseCount || 0) >= MAX_PAUSES_PER_SESSION) {
+    return { error: `You can pause a session ${MAX_PAUSES_PER_SESSION} times.` };
+  }
+
+  const profile = await getTimerProfile();
+  const now = Date.now();
+  timerState.remaining = getTimerRemaining(timerState, now);
+  timerState.pausedAt = now;
+  timerState.pauseCount = (timerState.pauseCount || 0) + 1;
+  timerState.pauseBlocking = profile.blockWhilePaused || !(await isSettingsUnlocked());
+
+  await setTimerState(timerState);
+  await chrome.alarms.clear(ALARM_TICK);
+  await chrome.alarms.create(ALARM_PAUSE_END, { delayInMinutes: MAX_PAUSE_MINUTES });
+  await reconcileBlockingRules();
+
+  if (!(await isNuclearActive())) {
+    await updateBadge('paused', getBadgeMinutes(timerState));
+  }
+
+  return { success: true };
+}
+
+/**
+ * Resume a paused focus session.
+ */
+async function resumeSession() {
+  const timerState = await getTimerState();
+  if (!timerState || timerState.status !== 'focus' || !timerState.pausedAt) {
+    return { error: 'The session is not paused.' };
+  }
+
+  endPause(timerState);
+  timerState.remaining = getTimerRemaining(timerState);
+
+  await setTimerState(timerState);
+  await chrome.alarms.clear(ALARM_PAUSE_END);
+  await reconcileBlockingRules();
+
+  if (!(await isNuclearActive())) {
+    await updateBadge('focus', getBadgeMinutes(timerState));
+  }
+
+  await chrome.alarms.create(ALARM_TICK, { periodInMinutes: 1 });
+  return { success: true };
+}
+
+/**
+ * Finish a Flowtime session: it counts as completed with the time actually
+ * focused, and a break in proportion to it starts. While settings are
+ * locked, a session has to run for the timer profile's focus length first;
+ * it has no end time of its own, so the lock can't hold it for good.
+ */
+async function finishFlowtimeSession() {
+  const timerState = await getTimerState();
+  if (!timerState || timerState.status !== 'focus' || !timerState.flowtime) {
+    return { error: 'There is no Flowtime session to finish.' };
+  }
+
+  if (!(await isSettingsUnlocked())) {
+    const { focusDuration } = await getTimerProfile();
+    const focusedMinutes = (timerState.duration - getTimerRemaining(timerState)) / 60;
+    if (focusedMinutes < focusDuration) {
+      return {
+        error: `Settings are locked. You can finish after ${focusDuration} minutes of focus, or unlock them to finish now.`,
+        locked: true
+      };
+    }
+  }
+
+  if (timerState.pausedAt) endPause(timerState);
+  await chrome.alarms.clear(ALARM_TICK);
+  await chrome.alarms.clear(ALARM_PAUSE_END);
+
+  const focusedSeconds = timerState.duration - getTimerRemaining(timerState);
+  await onFocusComplete({ ...timerState, duration: focusedSeconds });
+  return { success: true };
+}
+
+async function onPauseEnd() {
+  const result = await resumeSession();
+  if (result.error) return;
+
+  await chrome.notifications.create('pause-ended', {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('src/assets/icons/icon-128.png'),
+    title: 'Focus Resumed',
+    message: `Pauses last up to ${MAX_PAUSE_MINUTES} minutes. Your session is running again.`,
+    priority: 2
+  });
+}
+
+/**
+ * Add time to the running focus session. Right after a session completes,
+ * this reopens it from the break that followed, and the extra time counts
+ * towards the session already recorded.
+ * @param {number} minutes — one of EXTEND_SESSION_MINUTES
+ */
+async function extendSession(minutes) {
+  if (!EXTEND_SESSION_MINUTES.includes(minutes)) {
+    return { error: `Sessions can be extended by ${EXTEND_SESSION_MINUTES.join(' or ')} minutes.` };
+  }
+
+  const timerState = await getTimerState();
+  const extraSeconds = minutes * 60;
+  let extended;
+
+  if (timerState && timerState.status === 'focus' && timerState.flowtime) {
+    return { error: 'Flowtime sessions run until you finish them.' };
+  } else if (timerState && timerState.status === 'focus') {
+    extended = {
+      ...timerState,
+      duration: timerState.duration + extraSeconds,
+      extendedSeconds: (timerState.extendedSeconds || 0) + extraSeconds
+    };
+  } else if (timerState && timerState.lastFocus) {
+    const last = timerState.lastFocus;
+    extended = {
+      status: 'focus',
+      duration: last.duration + extraSeconds,
+      // Pick up where the session ended; the break doesn't count
+      startedAt: Date.now() - last.duration * 1000,
+      cycle: last.cycle,
+      whitelistMode: last.whitelistMode,
+      pauseCount: last.pauseCount,
+      extendedSeconds: last.extendedSeconds + extraSeconds,
+      recordedSeconds: last.duration
+    };
+  } else {
+    return { error: 'There is no focus session to extend.' };
+  }
+
+  if (extended.duration > MAX_SESSION_MINUTES * 60) {
+    return { error: `Sessions can't run longer than ${MAX_SESSION_MINUTES} minutes.` };
+  }
+
+  extended.remaining = getTimerRemaining(extended);
+  await setTimerState(extended);
+  await reconcileBlockingRules();
+
+  if (!(await isNuclearActive())) {
+    await updateBadge(extended.pausedAt ? 'paused' : 'focus', getBadgeMinutes(extended));
+  }
+
+  // A paused session's tick starts again when it resumes
+  if (!extended.pausedAt) {
+    await chrome.alarms.create(ALARM_TICK, { periodInMinutes: 1 });
+  }
+
+  return { success: true };
+}
+
 async function startBreak(isLong) {
+  const profile = await getTimerProfile();
   const breakDuration = isLong
-    ? DEFAULTS_TIMER.longBreakDuration * 60
-    : DEFAULTS_TIMER.shortBreakDuration * 60;
+    ? profile.longBreakDuration * 60
+    : profile.shortBreakDuration * 60;
 
   const currentState = await getTimerState();
   const cycle = currentState ? currentState.cycle : 1;
@@ -323,11 +1132,7 @@ async function startBreak(isLong) {
   };
 
   await setTimerState(timerState);
-
-  const scheduleActive = await isScheduleActive();
-  if (!scheduleActive) {
-    await clearBlockingRules();
-  }
+  await reconcileBlockingRules();
 
   await updateBadge('break');
 
@@ -341,8 +1146,10 @@ async function onAlarmTick() {
     return;
   }
 
-  const elapsed = Math.floor((Date.now() - timerState.startedAt) / 1000);
-  const remaining = Math.max(0, timerState.duration - elapsed);
+  // The badge stays frozen until the session resumes
+  if (timerState.pausedAt) return;
+
+  const remaining = getTimerRemaining(timerState);
   timerState.remaining = remaining;
 
   if (remaining <= 0) {
@@ -359,28 +1166,33 @@ async function onAlarmTick() {
   await setTimerState(timerState);
 
   if (timerState.status === 'focus') {
-    const minutesLeft = Math.ceil(remaining / 60);
-    await updateBadge('focus', minutesLeft);
+    await updateBadge('focus', getBadgeMinutes(timerState));
   }
 }
 
 async function onFocusComplete(timerState) {
   const stats = await getTodayStats();
 
-  const sessionResult = await recordSession({
-    duration: timerState.duration,
-    focusMinutes: Math.floor(timerState.duration / 60),
-    completed: true
-  });
+  if (timerState.recordedSeconds) {
+    // Extended after it completed: the session is already recorded
+    await recordSessionExtension(Math.floor((timerState.duration - timerState.recordedSeconds) / 60));
+  } else {
+    const sessionResult = await recordSession({
+      duration: timerState.duration,
+      focusMinutes: Math.floor(timerState.duration / 60),
+      completed: true,
+      extendedMinutes: Math.floor((timerState.extendedSeconds || 0) / 60)
+    });
 
-  // Check for milestone celebrations
-  if (sessionResult && sessionResult.newSessionCount) {
-    await checkMilestoneCelebration(sessionResult.newSessionCount);
-  }
+    // Check for milestone celebrations
+    if (sessionResult && sessionResult.newSessionCount) {
+      await checkMilestoneCelebration(sessionResult.newSessionCount);
+    }
 
-  // Increment weekly usage counter
-  const { weeklyUsageCount } = await getStorage('weeklyUsageCount');
-  await setStorage({ weeklyUsageCount: (weeklyUsageCount || 0) + 1 });
+    // Increment weekly usage counter
+    const { weeklyUsageCount } = await getStorage('weeklyUsageCount');
+    await setStorage({ weeklyUsageCount: (weeklyUsageCount || 0) + 1 });
+  }
 
   const distractions = stats.totalAttempts;
   const durationMin = Math.floor(timerState.duration / 60);
@@ -390,29 +1202,46 @@ async function onFocusComplete(timerState) {
     iconUrl: chrome.runtime.getURL('src/assets/icons/icon-128.png'),
     title: 'Focus Session Complete!',
     message: `You blocked ${distractions} distractions in ${durationMin} minutes.`,
+    // A Flowtime session ends when the user says so; there's nothing to extend
+    ...(timerState.flowtime ? {} : {
+      buttons: EXTEND_SESSION_MINUTES.map(minutes => ({ title: `Keep going: +${minutes} min` }))
+    }),
     priority: 2
   });
 
-  const isLongBreak = timerState.cycle >= DEFAULTS_TIMER.cyclesToLongBreak;
-  const nextCycle = isLongBreak ? 1 : timerState.cycle + 1;
+  const profile = await getTimerProfile();
+  let isLongBreak, nextCycle, breakMinutes;
+  if (timerState.flowtime) {
+    // No Pomodoro cycle: the break is a share of the time focused
+    isLongBreak = false;
+    nextCycle = timerState.cycle;
+    breakMinutes = Math.max(1, Math.round(durationMin * FLOWTIME_BREAK_RATIO));
+  } else {
+    isLongBreak = timerState.cycle >= profile.cyclesToLongBreak;
+    nextCycle = isLongBreak ? 1 : timerState.cycle + 1;
+    breakMinutes = isLongBreak ? profile.longBreakDuration : profile.shortBreakDuration;
+  }
 
   const breakState = {
     status: isLongBreak ? 'longbreak' : 'break',
-    remaining: (isLongBreak ? DEFAULTS_TIMER.longBreakDuration : DEFAULTS_TIMER.shortBreakDuration) * 60,
-    duration: (isLongBreak ? DEFAULTS_TIMER.longBreakDuration : DEFAULTS_TIMER.shortBreakDuration) * 60,
+    remaining: breakMinutes * 60,
+    duration: breakMinutes * 60,
     startedAt: Date.now(),
-    cycle: nextCycle
+    cycle: nextCycle,
+    // Lets the session-complete notification extend the session instead
+    lastFocus: timerState.flowtime ? null : {
+      duration: timerState.duration,
+      cycle: timerState.cycle,
+      whitelistMode: timerState.whitelistMode === true,
+      pauseCount: timerState.pauseCount || 0,
+      extendedSeconds: timerState.extendedSeconds || 0
+    }
   };
 
   await setTimerState(breakState);
 
-  const { settings } = await getStorage('settings');
-  const nuclearActive = settings.nuclearMode && settings.nuclearMode.active && Date.now() < settings.nuclearMode.endsAt;
-  const scheduleActive = await isScheduleActive();
-
-  if (!nuclearActive && !scheduleActive) {
-    await clearBlockingRules();
-  }
+  // Nuclear or schedule blocking continues in the dynamic rules
+  await reconcileBlockingRules();
 
   await updateBadge('break');
 
@@ -439,12 +1268,8 @@ async function onBreakComplete(timerState) {
   await setTimerState(idleState);
   await clearBadge();
 
-  // Clear the session flag unless schedule or nuclear keeps blocking active
-  const scheduleActive = await isScheduleActive();
-  const nuclearActive = await isNuclearActive();
-  if (!scheduleActive && !nuclearActive) {
-    await setSessionFlag(false);
-  }
+  // Clears the session flag unless schedule or nuclear keeps blocking active
+  await reconcileBlockingRules();
 }
 
 // ---------------------------------------------------------------------------
@@ -474,7 +1299,11 @@ async function updateBadge(mode, minutes) {
         await chrome.action.setBadgeText({ text: `${minutes}m` });
         await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLORS.focus });
         break;
-      case 'break':
+      case 'paused':
+        await chrome.action.setBadgeText({ text: `${minutes}m` });
+        await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLORS.paused });
+        break;
+      case 'break':
         await chrome.action.setBadgeText({ text: 'BRK' });
         await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLORS.break });
         break;
@@ -500,7 +1329,12 @@ async function clearBadge() {
 // Nuclear Mode
 // ---------------------------------------------------------------------------
 
-async function activateNuclear(durationMinutes) {
+/**
+ * Activate nuclear mode.
+ * @param {number} durationMinutes
+ * @param {{ whitelistMode?: boolean }} [options] — lock in whitelist-only blocking
+ */
+async function activateNuclear(durationMinutes, options = {}) {
   try {
     // Cap nuclear duration based on Pro status
     const proStatus = await isPro();
@@ -509,15 +1343,18 @@ async function activateNuclear(durationMinutes) {
 
     const endsAt = Date.now() + cappedDuration * 60 * 1000;
 
-    const { settings } = await getStorage('settings');
-    settings.nuclearMode = { active: true, endsAt: endsAt };
-    // DATA: Stores nuclear mode activation state and expiry timestamp.
-    // User-initiated. Not transmitted externally.
-    await setStorage({ settings });
+    const { settings, blocklist, activePrebuiltLists } = await getStorage(['settings', 'blocklist', 'activePrebuiltLists']);
+    settings.nuclearMode = {
+      active: true,
+      endsAt: endsAt,
+      whitelistMode: options.whitelistMode === true,
+      scheduleId: options.scheduleId || null
+    };
+    // DATA: Stores nuclear mode activation state and expiry timestamp, and a
+    // snapshot of the lists it locks. User-initiated. Not transmitted externally.
+    await setStorage({ settings, nuclearSnapshot: { blocklist, activePrebuiltLists } });
 
-    const domains = await getFullBlocklist();
-    await updateBlockingRules(domains);
-    await setSessionFlag(true);
+    await reconcileBlockingRules();
 
     await updateBadge('nuclear');
 
@@ -531,7 +1368,10 @@ async function activateNuclear(durationMinutes) {
 async function onNuclearEnd() {
   const { settings } = await getStorage('settings');
   settings.nuclearMode = { active: false, endsAt: null };
-  await setStorage({ settings });
+  await setStorage({ settings, nuclearSnapshot: null });
+
+  // Falls back to the session's or schedule's own blocking, if any
+  await reconcileBlockingRules();
 
   await chrome.notifications.create('nuclear-ended', {
     type: 'basic',
@@ -543,20 +1383,29 @@ async function onNuclearEnd() {
 
   const timerState = await getTimerState();
   if (timerState && timerState.status === 'focus') {
-    const minutesLeft = Math.ceil(timerState.remaining / 60);
-    await updateBadge('focus', minutesLeft);
+    await updateBadge(timerState.pausedAt ? 'paused' : 'focus', getBadgeMinutes(timerState));
   } else if (timerState && (timerState.status === 'break' || timerState.status === 'longbreak')) {
     await updateBadge('break');
   } else {
-    const scheduleActive = await isScheduleActive();
-    if (!scheduleActive) {
-      await clearBlockingRules();
-      await setSessionFlag(false);
-    }
     await clearBadge();
   }
 }
 
+/**
+ * Whether whitelist-only blocking is in force, either from a running focus
+ * session or from nuclear mode activated in whitelist mode.
+ * @returns {Promise<boolean>}
+ */
+async function isWhitelistModeActive() {
+  const { settings } = await getStorage('settings');
+  const nuclear = settings.nuclearMode;
+  if (nuclear && nuclear.active && nuclear.whitelistMode && Date.now() < nuclear.endsAt) {
+    return true;
+  }
+  const timerState = await getTimerState();
+  return isSessionBlocking(timerState) && timerState.whitelistMode === true;
+}
+
 async function isNuclearActive() {
   const { settings } = await getStorage('settings');
   if (!settings.nuclearMode || !settings.nuclearMode.active) {
@@ -564,7 +1413,7 @@ async function isNuclearActive() {
   }
   if (Date.now() >= settings.nuclearMode.endsAt) {
     settings.nuclearMode = { active: false, endsAt: null };
-    await setStorage({ settings });
+    await setStorage({ settings, nuclearSnapshot: null });
     return false;
   }
   return true;
@@ -573,45 +1422,461 @@ async function isNuclearActive() {
 // ---------------------------------------------------------------------------
 // Schedule Checking
 // ---------------------------------------------------------------------------
+// Each schedule blocks its own sites and prebuilt lists (and optionally the
+// main blocklist) during its windows, which ../shared/schedule.js works out.
+// Overlapping schedules block the union.
 
-async function isScheduleActive() {
+/**
+ * The schedules whose windows are open right now.
+ * @returns {Promise<object[]>}
+ */
+async function getActiveSchedules() {
   const { settings } = await getStorage('settings');
-  const schedule = settings.schedule;
+  const now = new Date();
+  return getSchedules(settings).filter(schedule => isScheduleActive(schedule, now));
+}
 
-  if (!schedule || !schedule.enabled) {
-    return false;
+async function checkSchedule() {
+  // Catches a nuclear window whose start alarm was missed (browser closed)
+  await checkScheduledNuclear();
+
+  // Schedule blocking lives in the dynamic rules; the diff is a no-op
+  // unless a schedule window opened or closed since the last check
+  return await reconcileBlockingRules();
+}
+
+/**
+ * Enabled schedules that run as nuclear mode.
+ * @param {object} settings
+ * @returns {object[]}
+ */
+function getNuclearSchedules(settings) {
+  return getSchedules(settings).filter(schedule => schedule.enabled && schedule.nuclear);
+}
+
+/**
+ * Turn on nuclear mode for the rest of an open nuclear schedule window,
+ * once per window. A nuclear run already in progress is left alone.
+ */
+async function checkScheduledNuclear() {
+  const { settings, lastScheduledNuclear } = await getStorage(['settings', 'lastScheduledNuclear']);
+  const now = new Date();
+
+  for (const schedule of getNuclearSchedules(settings)) {
+    const current = getScheduleWindow(schedule, now);
+    if (!current || current.start === lastScheduledNuclear) continue;
+    if (await isNuclearActive()) return;
+
+    // DATA: Stores when the current schedule window started nuclear mode.
+    // Automatically managed. Not transmitted externally.
+    await setStorage({ lastScheduledNuclear: current.start });
+    // activateNuclear still caps the run at the plan's nuclear limit
+    await activateNuclear((current.end - now.getTime()) / 60000, { scheduleId: schedule.id });
+    return;
   }
+}
 
+/**
+ * Point the scheduled-nuclear alarm at the next nuclear window start, or
+ * clear it when no schedule runs nuclear mode.
+ */
+async function updateScheduledNuclearAlarm() {
+  await chrome.alarms.clear(ALARM_SCHEDULED_NUCLEAR);
+
+  const { settings } = await getStorage('settings');
   const now = new Date();
-  const currentDay = now.getDay();
-  const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+  const starts = getNuclearSchedules(settings)
+    .map(schedule => getNextScheduleStart(schedule, now))
+    .filter(start => start !== null);
 
-  if (!schedule.days.includes(currentDay)) {
-    return false;
+  if (starts.length > 0) {
+    await chrome.alarms.create(ALARM_SCHEDULED_NUCLEAR, { when: Math.min(...starts) });
   }
+}
+
+// ---------------------------------------------------------------------------
+// Time Budgets
+// ---------------------------------------------------------------------------
+// A budget allows a site for a number of minutes per day. Time counts while
+// the site is in the active tab of the focused window and is added to
+// todayStats.budgetUsed; once the allowance runs out, the site is blocked
+// until todayStats rolls over at midnight.
+
+/**
+ * Each budget's parsed entry, daily allowance and today's usage.
+ * @returns {Promise<Array<{ entry: object, minutes: number, usedSeconds: number, exhausted: boolean }>>}
+ */
+async function getBudgetStatus() {
+  const { siteBudgets } = await getStorage('siteBudgets');
+  const stats = await getTodayStats();
+  const used = stats.budgetUsed || {};
 
-  return currentTime >= schedule.startTime && currentTime <= schedule.endTime;
+  return parseEntries(Object.keys(siteBudgets)).map(entry => {
+    const minutes = siteBudgets[entry.pattern];
+    const usedSeconds = used[entry.pattern] || 0;
+    return { entry, minutes, usedSeconds, exhausted: usedSeconds >= minutes * 60 };
+  });
 }
 
-async function checkSchedule() {
-  const active = await isScheduleActive();
-  const timerState = await getTimerState();
+/**
+ * Get the active tab of the focused browser window, if any.
+ * @returns {Promise<chrome.tabs.Tab|null>}
+ */
+async function getFocusedTab() {
+  const win = await chrome.windows.getLastFocused();
+  if (!win || !win.focused) return null;
+  const [tab] = await chrome.tabs.query({ active: true, windowId: win.id });
+  return tab || null;
+}
+
+// Tab and window events can arrive together; flushes run one at a time
+let budgetChain = Promise.resolve();
+
+function trackBudgetTime() {
+  budgetChain = budgetChain.then(updateBudgetTracking).catch(err => {
+    console.error('[SW] updateBudgetTracking failed:', err);
+  });
+  return budgetChain;
+}
+
+/**
+ * Credit the time spent on the tracked budget site since the last flush,
+ * then start tracking whatever the focused tab shows now. When a budget
+ * runs out, install its block and reload the tab so the block page shows.
+ */
+async function updateBudgetTracking() {
+  const { budgetTracking } = await chrome.storage.session.get('budgetTracking');
+  const now = Date.now();
+  let exhaustedPattern = null;
+
+  if (budgetTracking) {
+    const seconds = Math.min(Math.floor((now - budgetTracking.since) / 1000), MAX_BUDGET_FLUSH_SECONDS);
+    if (seconds > 0) {
+      const { siteBudgets } = await getStorage('siteBudgets');
+      const allowance = (siteBudgets[budgetTracking.pattern] || 0) * 60;
+      const usedSeconds = await recordBudgetTime(budgetTracking.pattern, seconds);
+      if (allowance > 0 && usedSeconds >= allowance) {
+        exhaustedPattern = budgetTracking.pattern;
+      }
+    }
+  }
+
+  const budgets = await getBudgetStatus();
+  const tab = budgets.length > 0 ? await getFocusedTab() : null;
+  let url = null;
+  try {
+    url = tab && tab.url ? new URL(tab.url) : null;
+  } catch (e) {
+    url = null;
+  }
+  const match = url && /^https?:$/.test(url.protocol)
+    ? budgets.find(budget => matchesEntry(budget.entry, url))
+    : null;
+
+  // DATA: Stores which budgeted site is being timed and since when. Ephemeral. Not transmitted.
+  await chrome.storage.session.set({
+    budgetTracking: match && !match.exhausted ? { pattern: match.entry.pattern, since: now } : null
+  });
+
+  if (exhaustedPattern) {
+    await reconcileBlockingRules();
+    if (match && match.entry.pattern === exhaustedPattern) {
+      await chrome.tabs.reload(tab.id);
+    }
+  }
+}
+
+chrome.tabs.onActivated.addListener(() => {
+  trackBudgetTime();
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url && tab.active) {
+    trackBudgetTime();
+  }
+});
+
+chrome.windows.onFocusChanged.addListener(() => {
+  trackBudgetTime();
+});
+
+async function handleUpdateBudgets(budgets) {
+  // Budgets loosen into hard blocks once used up, so lock them like the blocklist
   const nuclearActive = await isNuclearActive();
+  if (nuclearActive) {
+    return { error: 'Cannot modify time budgets during nuclear mode.' };
+  }
+
+  if (!budgets || typeof budgets !== 'object' || Array.isArray(budgets)) {
+    return { error: 'Invalid time budgets format.' };
+  }
+
+  const patterns = Object.keys(budgets);
+  if (patterns.length > MAX_BUDGETS) {
+    return { error: `Time budgets cannot exceed ${MAX_BUDGETS} sites.` };
+  }
+
+  const sanitized = {};
+  for (const pattern of patterns) {
+    const entry = parseEntry(pattern);
+    if (!entry) {
+      return { error: `Invalid site: ${pattern.slice(0, 100)}` };
+    }
+    const minutes = Number(budgets[pattern]);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_BUDGET_MINUTES) {
+      return { error: `Daily budget must be 1-${MAX_BUDGET_MINUTES} minutes.` };
+    }
+    sanitized[entry.pattern] = minutes;
+  }
+
+  const regexError = await validateRegexRules({ siteBudgets: sanitized });
+  if (regexError) {
+    return regexError;
+  }
+
+  // Flush time on the current site under the old budgets first
+  await trackBudgetTime();
+
+  // DATA: Stores user-specified daily time budgets per site. User-initiated. Not transmitted externally.
+  await setStorage({ siteBudgets: sanitized });
+
+  const ruleError = await reconcileBlockingRules();
+  if (ruleError) {
+    return ruleError;
+  }
+  await trackBudgetTime();
+
+  return { success: true, siteBudgets: sanitized };
+}
+
+// ---------------------------------------------------------------------------
+// Visit Limits
+// ---------------------------------------------------------------------------
+// A visit limit allows a site N times per day. Each time a tab navigates
+// onto the site from somewhere else, one visit is added to
+// todayStats.visitsUsed. Once the last visit starts, the site is blocked
+// until midnight; that visit itself carries on, and attempts after it
+// count on past the limit so the block page can say "visit 4 of 3".
+
+/**
+ * Each visit limit's parsed entry, daily allowance and today's usage.
+ * @returns {Promise<Array<{ entry: object, visits: number, used: number, exhausted: boolean }>>}
+ */
+async function getVisitLimitStatus() {
+  const { siteVisitLimits } = await getStorage('siteVisitLimits');
+  const stats = await getTodayStats();
+  const used = stats.visitsUsed || {};
+
+  return parseEntries(Object.keys(siteVisitLimits)).map(entry => {
+    const visits = siteVisitLimits[entry.pattern];
+    const usedVisits = used[entry.pattern] || 0;
+    return { entry, visits, used: usedVisits, exhausted: usedVisits >= visits };
+  });
+}
+
+// Navigation events from several tabs can arrive together; handle one at a time
+let visitChain = Promise.resolve();
+
+function trackVisit(tabId, url) {
+  visitChain = visitChain.then(() => updateVisitTracking(tabId, url)).catch(err => {
+    console.error('[SW] updateVisitTracking failed:', err);
+  });
+  return visitChain;
+}
+
+/**
+ * Count a visit when a tab arrives on a visit-limited site, and block the
+ * site once that visit uses up the day's allowance. Navigation within the
+ * site (including in-page history changes) is part of the same visit.
+ * @param {number} tabId
+ * @param {string} rawUrl
+ */
+async function updateVisitTracking(tabId, rawUrl) {
+  const limits = await getVisitLimitStatus();
+  const { visitTabs = {} } = await chrome.storage.session.get('visitTabs');
+
+  let url = null;
+  try {
+    url = new URL(rawUrl);
+  } catch (e) {
+    url = null;
+  }
+  const match = url && /^https?:$/.test(url.protocol)
+    ? limits.find(limit => matchesEntry(limit.entry, url))
+    : null;
+  const pattern = match ? match.entry.pattern : null;
+
+  const previous = visitTabs[tabId] || null;
+  if (pattern === previous) return;
+
+  if (pattern) {
+    visitTabs[tabId] = pattern;
+  } else {
+    delete visitTabs[tabId];
+  }
+  // DATA: Stores which visit-limited site each tab is on. Ephemeral. Not transmitted.
+  await chrome.storage.session.set({ visitTabs });
+
+  if (pattern && !match.exhausted) {
+    const used = await recordVisit(pattern);
+    if (used >= match.visits) {
+      await reconcileBlockingRules();
+    }
+  }
+}
+
+/**
+ * Count a blocked attempt on a used-up visit limit, so repeated attempts
+ * read as visit 4, 5, ... of 3 on the block page.
+ * @param {string} domain
+ */
+async function recordBlockedVisit(domain) {
+  const url = payloadToUrl({ domain });
+  if (!url) return;
+  const limit = (await getVisitLimitStatus()).find(l => l.exhausted && matchesEntry(l.entry, url));
+  if (limit) {
+    await recordVisit(limit.entry.pattern);
+  }
+}
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.url) {
+    trackVisit(tabId, changeInfo.url);
+  }
+});
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  const { visitTabs } = await chrome.storage.session.get('visitTabs');
+  if (visitTabs && tabId in visitTabs) {
+    delete visitTabs[tabId];
+    // DATA: Forgets the closed tab's visit-limited site. Ephemeral. Not transmitted.
+    await chrome.storage.session.set({ visitTabs });
+  }
+});
 
+async function handleUpdateVisitLimits(limits) {
+  // Visit limits turn into hard blocks once used up, so lock them like the blocklist
+  const nuclearActive = await isNuclearActive();
   if (nuclearActive) {
-    return;
+    return { error: 'Cannot modify visit limits during nuclear mode.' };
+  }
+
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+    return { error: 'Invalid visit limits format.' };
+  }
+
+  const patterns = Object.keys(limits);
+  if (patterns.length > MAX_VISIT_LIMITS) {
+    return { error: `Visit limits cannot exceed ${MAX_VISIT_LIMITS} sites.` };
   }
 
-  if (active && (!timerState || timerState.status === 'idle')) {
-    const domains = await getFullBlocklist();
-    await updateBlockingRules(domains);
-    await setSessionFlag(true);
-  } else if (!active && (!timerState || timerState.status === 'idle' || timerState.status === 'break' || timerState.status === 'longbreak')) {
-    if (!timerState || timerState.status === 'idle') {
-      await clearBlockingRules();
-      await setSessionFlag(false);
+  const sanitized = {};
+  for (const pattern of patterns) {
+    const entry = parseEntry(pattern);
+    if (!entry) {
+      return { error: `Invalid site: ${pattern.slice(0, 100)}` };
+    }
+    const visits = Number(limits[pattern]);
+    if (!Number.isInteger(visits) || visits < 1 || visits > MAX_VISITS_PER_DAY) {
+      return { error: `Visit limit must be 1-${MAX_VISITS_PER_DAY} visits per day.` };
     }
+    sanitized[entry.pattern] = visits;
+  }
+
+  const regexError = await validateRegexRules({ siteVisitLimits: sanitized });
+  if (regexError) {
+    return regexError;
+  }
+
+  // DATA: Stores user-specified daily visit limits per site. User-initiated. Not transmitted externally.
+  await setStorage({ siteVisitLimits: sanitized });
+
+  const ruleError = await reconcileBlockingRules();
+  if (ruleError) {
+    return ruleError;
+  }
+
+  return { success: true, siteVisitLimits: sanitized };
+}
+
+// ---------------------------------------------------------------------------
+// Incognito
+// ---------------------------------------------------------------------------
+// The extension runs in "spanning" mode: one service worker for normal and
+// incognito windows, and blocking rules cover incognito tabs once the user
+// allows the extension there. Without that permission incognito tabs are
+// invisible to the extension, so nothing in them can be blocked, closed or
+// even seen; the popup and options page can only point the user to the
+// permission.
+
+/**
+ * @returns {Promise<boolean>}
+ */
+async function isIncognitoAllowed() {
+  try {
+    return await chrome.extension.isAllowedIncognitoAccess();
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Whether incognito browsing is stopped outright right now: the user turned
+ * it on and a focus session or nuclear mode is running.
+ * @returns {Promise<boolean>}
+ */
+async function isIncognitoBlockingActive() {
+  const { settings } = await getStorage('settings');
+  if (!settings.blockIncognito) return false;
+  if (await isNuclearActive()) return true;
+  return isSessionBlocking(await getTimerState());
+}
+
+// Extension pages can't load in incognito tabs in spanning mode, so new
+// incognito tabs are closed rather than sent to the block page. Only fires
+// for incognito tabs once the extension is allowed there.
+chrome.tabs.onCreated.addListener(async (tab) => {
+  if (!tab.incognito) return;
+
+  try {
+    if (!(await isIncognitoBlockingActive())) return;
+
+    await chrome.tabs.remove(tab.id);
+    await chrome.notifications.create('incognito-blocked', {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('src/assets/icons/icon-128.png'),
+      title: 'Incognito Blocked',
+      message: 'Incognito browsing is off until your focus session or nuclear mode ends.',
+      priority: 1
+    });
+  } catch (err) {
+    console.error('[SW] Failed to close incognito tab:', err);
+  }
+});
+
+async function getIncognitoStatus() {
+  const { settings } = await getStorage('settings');
+  return { allowed: await isIncognitoAllowed(), blockIncognito: settings.blockIncognito === true };
+}
+
+/**
+ * Turn closing incognito tabs during focus and nuclear mode on or off.
+ * @param {boolean} enabled
+ */
+async function handleUpdateIncognitoBlocking(enabled) {
+  if (typeof enabled !== 'boolean') {
+    return { error: 'Invalid incognito setting.' };
   }
+  if (!enabled && await isNuclearActive()) {
+    return { error: 'Cannot turn off incognito blocking during nuclear mode.' };
+  }
+
+  const { settings } = await getStorage('settings');
+  settings.blockIncognito = enabled;
+  // DATA: Stores whether incognito tabs are closed during focus. User-initiated. Not transmitted externally.
+  await setStorage({ settings });
+
+  return { success: true, ...(await getIncognitoStatus()) };
 }
 
 // ---------------------------------------------------------------------------
@@ -633,26 +1898,66 @@ async function handleMessage(message, sender) {
     return { error: 'Invalid message format.' };
   }
 
+  // Enforced here rather than in the UI, so every caller is held to the lock
+  if (LOCKED_MESSAGE_TYPES.has(message.type) && !(await isSettingsUnlocked())) {
+    return { error: SETTINGS_LOCKED_ERROR, locked: true };
+  }
+
   switch (message.type) {
     case 'START_SESSION': {
-      // Validate duration: must be a positive number, max 480 minutes (8 hours)
-      const dur = Number(message.duration);
-      if (message.duration != null && (!Number.isFinite(dur) || dur <= 0 || dur > 480)) {
-        return { error: 'Invalid duration. Must be 1-480 minutes.' };
+      if (message.flowtime != null && typeof message.flowtime !== 'boolean') {
+        return { error: 'Invalid flowtime flag.' };
       }
-      await startFocusSession(dur || DEFAULTS_TIMER.focusDuration);
+      // Flowtime counts up, so any duration is ignored
+      const flowtime = message.flowtime === true;
+      const durationError = flowtime ? null : await validateSessionDuration(message.duration);
+      if (durationError) return durationError;
+      const whitelistError = await validateWhitelistMode(message.whitelistMode);
+      if (whitelistError) return whitelistError;
+      const replaceError = await validateSessionReplace();
+      if (replaceError) return replaceError;
+      const dur = !flowtime && message.duration != null ? Number(message.duration) : null;
+      await startFocusSession(dur, { whitelistMode: message.whitelistMode === true, flowtime });
+      if (dur) await rememberRecentDuration(dur);
       return { success: true };
     }
 
+    case 'FINISH_SESSION':
+      return await finishFlowtimeSession();
+
     case 'STOP_SESSION':
       return await stopSession();
 
+    case 'PAUSE_SESSION':
+      return await pauseSession();
+
+    case 'RESUME_SESSION':
+      return await resumeSession();
+
+    case 'EXTEND_SESSION':
+      return await extendSession(Number(message.minutes));
+
     case 'GET_STATE':
       return await getFullState();
 
     case 'UPDATE_BLOCKLIST':
       return await handleUpdateBlocklist(message.sites);
 
+    case 'UPDATE_ALLOWLIST':
+      return await handleUpdateAllowlist(message.sites);
+
+    case 'UPDATE_WHITELIST':
+      return await handleUpdateWhitelist(message.sites);
+
+    case 'UPDATE_SITE_OPTIONS':
+      return await handleUpdateSiteOptions(message.pattern, message.options);
+
+    case 'UPDATE_BUDGETS':
+      return await handleUpdateBudgets(message.budgets);
+
+    case 'UPDATE_VISIT_LIMITS':
+      return await handleUpdateVisitLimits(message.limits);
+
     case 'TOGGLE_PREBUILT_LIST': {
       // Validate listId against allowed values
       if (typeof message.listId !== 'string' || !ALLOWED_PREBUILT_LIST_IDS.includes(message.listId)) {
@@ -676,7 +1981,9 @@ async function handleMessage(message, sender) {
           limitReached: true
         };
       }
-      await activateNuclear(nucDur);
+      const nucWhitelistError = await validateWhitelistMode(message.whitelistMode);
+      if (nucWhitelistError) return nucWhitelistError;
+      await activateNuclear(nucDur, { whitelistMode: message.whitelistMode === true });
       return { success: true };
     }
 
@@ -685,16 +1992,24 @@ async function handleMessage(message, sender) {
       if (!message.payload || typeof message.payload !== 'object' || typeof message.payload.domain !== 'string') {
         return { blocked: false };
       }
-      return await handleCheckBlocked(message.payload);
+      const tabId = sender.tab ? sender.tab.id : null;
+      const result = await handleCheckBlocked(message.payload, tabId);
+      if (result.blocked && tabId !== null) {
+        await rememberBlockedUrl(tabId, message.payload.url);
+      }
+      return result;
     }
 
+    case 'CHECK_EMBEDS':
+      return await handleCheckEmbeds(message.payload);
+
     case 'GET_BLOCK_INFO': {
       // Validate domain
       if (typeof message.domain !== 'string' || !message.domain) {
         return { error: 'Invalid domain.' };
       }
       const cleanedDomain = sanitizeDomain(message.domain);
-      return await getBlockInfo(cleanedDomain || message.domain);
+      return await getBlockInfo(cleanedDomain || message.domain, await getBlockedPageUrl(message, sender));
     }
 
     case 'RECORD_DISTRACTION': {
@@ -702,20 +2017,29 @@ async function handleMessage(message, sender) {
       if (typeof message.domain !== 'string' || !message.domain) {
         return { error: 'Invalid domain.' };
       }
+      await recordBlockedVisit(message.domain);
       return await recordDistraction(message.domain);
     }
 
     case 'START_BREAK': {
+      // A break only follows a completed session; ending one is STOP_SESSION
+      const breakState = await getTimerState();
+      if (breakState && breakState.status === 'focus') {
+        return { error: 'Finish your focus session before taking a break.' };
+      }
       await startBreak(message.isLong === true);
       return { success: true };
     }
 
     case 'SKIP_BREAK': {
-      const skipDur = Number(message.duration);
-      if (message.duration != null && (!Number.isFinite(skipDur) || skipDur <= 0 || skipDur > 480)) {
-        return { error: 'Invalid duration.' };
-      }
-      await startFocusSession(skipDur || DEFAULTS_TIMER.focusDuration);
+      const skipDurationError = await validateSessionDuration(message.duration);
+      if (skipDurationError) return skipDurationError;
+      const skipWhitelistError = await validateWhitelistMode(message.whitelistMode);
+      if (skipWhitelistError) return skipWhitelistError;
+      const skipReplaceError = await validateSessionReplace();
+      if (skipReplaceError) return skipReplaceError;
+      const skipDur = message.duration != null ? Number(message.duration) : null;
+      await startFocusSession(skipDur, { whitelistMode: message.whitelistMode === true });
       return { success: true };
     }
 
@@ -724,17 +2048,40 @@ async function handleMessage(message, sender) {
       if (typeof message.domain !== 'string' || !message.domain) {
         return { error: 'Invalid domain.' };
       }
-      return await handleOverrideBlock(message.domain);
+      return await handleOverrideBlock(message.domain, {
+        url: await getBlockedPageUrl(message, sender),
+        intention: message.intention,
+        minutes: message.minutes,
+        challenge: message.challenge && typeof message.challenge === 'object' ? message.challenge : undefined
+      });
+    }
+
+    case 'START_OVERRIDE_WAIT': {
+      if (typeof message.domain !== 'string' || !message.domain) {
+        return { error: 'Invalid domain.' };
+      }
+      return await handleStartOverrideWait(message.domain, await getBlockedPageUrl(message, sender));
     }
 
-    case 'UPDATE_SCHEDULE': {
-      // Validate schedule object structure
-      if (message.schedule != null && typeof message.schedule !== 'object') {
-        return { error: 'Invalid schedule format.' };
+    case 'START_CHALLENGE': {
+      if (typeof message.domain !== 'string' || !message.domain) {
+        return { error: 'Invalid domain.' };
       }
-      return await handleUpdateSchedule(message.schedule);
+      return await handleStartChallenge(message.domain, await getBlockedPageUrl(message, sender));
     }
 
+    case 'UPDATE_OVERRIDE_POLICY':
+      return await handleUpdateOverridePolicy(message.policy);
+
+    case 'UPDATE_TIMER_PROFILE':
+      return await handleUpdateTimerProfile(message.profile);
+
+    case 'UPDATE_DURATION_PRESETS':
+      return await handleUpdateDurationPresets(message.presets);
+
+    case 'UPDATE_SCHEDULES':
+      return await handleUpdateSchedules(message.schedules);
+
     case 'LOG_ERROR': {
       const src = typeof message.source === 'string' ? message.source : 'unknown';
       const msg = typeof message.error === 'string' ? message.error : 'Unknown error';
@@ -780,6 +2127,35 @@ async function handleMessage(message, sender) {
       };
     }
 
+    case 'GET_INCOGNITO_STATUS':
+      return await getIncognitoStatus();
+
+    case 'UPDATE_INCOGNITO_BLOCKING':
+      return await handleUpdateIncognitoBlocking(message.enabled);
+
+    case 'GET_SETTINGS_LOCK':
+      return await getSettingsLockState();
+
+    case 'SET_SETTINGS_LOCK':
+      return await handleSetSettingsLock(message.method, message.password);
+
+    case 'UNLOCK_SETTINGS':
+      return await handleUnlockSettings(message.secret);
+
+    case 'LOCK_SETTINGS':
+      // DATA: Clears the settings unlock window. Ephemeral. Not transmitted.
+      await chrome.storage.session.remove('settingsUnlock');
+      return { success: true, settingsLock: await getSettingsLockState() };
+
+    case 'REMOVE_SETTINGS_LOCK':
+      // DATA: Removes the settings lock hash. User-initiated. Not transmitted externally.
+      await setStorage({ settingsLock: null });
+      await chrome.storage.session.remove('settingsUnlock');
+      return { success: true, settingsLock: await getSettingsLockState() };
+
+    case 'DELETE_ALL_DATA':
+      return await handleDeleteAllData();
+
     case 'UPDATE_RATING_STATE': {
       if (!message.ratingState || typeof message.ratingState !== 'object') {
         return { error: 'Invalid rating state.' };
@@ -796,22 +2172,23 @@ async function handleMessage(message, sender) {
 async function getFullState() {
   const timerState = await getTimerState();
   const stats = await getTodayStats();
-  const { streak, settings, blocklist, activePrebuiltLists, sessionCount, onboardingComplete } = await getStorage([
-    'streak', 'settings', 'blocklist', 'activePrebuiltLists', 'sessionCount', 'onboardingComplete'
+  const { streak, settings, blocklist, allowlist, whitelist, siteOptions, siteBudgets, siteVisitLimits, activePrebuiltLists, sessionCount, onboardingComplete, recentDurations } = await getStorage([
+    'streak', 'settings', 'blocklist', 'allowlist', 'whitelist', 'siteOptions', 'siteBudgets', 'siteVisitLimits', 'activePrebuiltLists', 'sessionCount', 'onboardingComplete', 'recentDurations'
   ]);
 
   let adjustedTimer = timerState;
   if (timerState && timerState.startedAt && timerState.status !== 'idle') {
-    const elapsed = Math.floor((Date.now() - timerState.startedAt) / 1000);
     adjustedTimer = {
       ...timerState,
-      remaining: Math.max(0, timerState.duration - elapsed)
+      remaining: getTimerRemaining(timerState)
     };
   }
 
   const nuclearActive = await isNuclearActive();
   const proStatus = await isPro();
   const proLimits = getProLimits(proStatus);
+  const settingsLock = await getSettingsLockState();
+  const incognitoAllowed = await isIncognitoAllowed();
 
   return {
     timerState: adjustedTimer,
@@ -819,10 +2196,22 @@ async function getFullState() {
     streak,
     settings,
     blocklist,
+    allowlist,
+    whitelist,
+    siteOptions,
+    siteBudgets,
+    siteVisitLimits,
     activePrebuiltLists,
     sessionCount,
     onboardingComplete,
     nuclearActive,
+    settingsLock,
+    incognitoAllowed,
+    timerProfile: await getTimerProfile(),
+    pauseLimits: { maxPauses: MAX_PAUSES_PER_SESSION, maxMinutes: MAX_PAUSE_MINUTES },
+    durationPresets: settings.durationPresets || [],
+    recentDurations,
+    sessionLimits: { minMinutes: MIN_SESSION_MINUTES, maxMinutes: MAX_SESSION_MINUTES },
     isPro: proStatus,
     proLimits
   };
@@ -830,9 +2219,6 @@ async function getFullState() {
 
 async function handleUpdateBlocklist(sites) {
   const nuclearActive = await isNuclearActive();
-  if (nuclearActive) {
-    return { error: 'Cannot modify blocklist during nuclear mode.' };
-  }
 
   // Validate input: must be an array
   if (!Array.isArray(sites)) {
@@ -850,50 +2236,414 @@ async function handleUpdateBlocklist(sites) {
     return { error: `Blocklist cannot exceed ${MAX_BLOCKLIST_SIZE} sites.` };
   }
 
-  // Sanitize and validate each domain; reject invalid entries
-  const sanitized = [];
-  for (const site of sites) {
-    const clean = sanitizeDomain(site);
-    if (!clean) {
-      return { error: `Invalid domain: ${typeof site === 'string' ? site.slice(0, 100) : 'invalid'}` };
-    }
-    if (!sanitized.includes(clean)) {
-      sanitized.push(clean);
+  // Sanitize and validate each entry (host, host/path or *.host); reject invalid entries
+  const { sanitized, error } = sanitizeSitePatterns(sites);
+  if (error) {
+    return { error };
+  }
+
+  const regexError = await validateRegexRules({ blocklist: sanitized });
+  if (regexError) {
+    return regexError;
+  }
+
+  // Nuclear mode lets the blocklist grow but never shrink
+  if (nuclearActive) {
+    const { blocklist, nuclearSnapshot } = await getStorage(['blocklist', 'nuclearSnapshot']);
+    const locked = new Set([...blocklist, ...(nuclearSnapshot ? nuclearSnapshot.blocklist : [])]);
+    const removed = [...locked].filter(pattern => !sanitized.includes(pattern));
+    if (removed.length > 0) {
+      return { error: `Cannot remove ${removed[0]} during nuclear mode. You can only add sites.` };
     }
   }
 
-  // DATA: Stores user-specified blocklist of domains. User-initiated. Not transmitted externally.
-  await setStorage({ blocklist: sanitized });
+  // Drop per-entry options of removed entries
+  const { siteOptions } = await getStorage('siteOptions');
+  const keptOptions = {};
+  for (const pattern of sanitized) {
+    if (siteOptions[pattern]) keptOptions[pattern] = siteOptions[pattern];
+  }
 
-  const timerState = await getTimerState();
-  const scheduleActive = await isScheduleActive();
+  // DATA: Stores user-specified blocklist of site patterns. User-initiated. Not transmitted externally.
+  await setStorage({ blocklist: sanitized, siteOptions: keptOptions });
 
-  if ((timerState && timerState.status === 'focus') || scheduleActive) {
-    const domains = await getFullBlocklist();
-    await updateBlockingRules(domains);
+  const ruleError = await reconcileBlockingRules();
+  if (ruleError) {
+    return ruleError;
   }
 
   return { success: true };
 }
 
-async function handleTogglePrebuiltList(listId) {
-  const nuclearActive = await isNuclearActive();
-  if (nuclearActive) {
-    return { error: 'Cannot modify lists during nuclear mode.' };
+/**
+ * Set the per-entry blocking options of a blocklist entry.
+ * @param {string} pattern — a pattern already on the blocklist
+ * @param {{ blockEmbeds?: boolean, blockRequests?: boolean, speedBump?: number, redirectTo?: string|null, challenge?: string|null }} options
+ * @returns {Promise<object>}
+ */
+async function handleUpdateSiteOptions(pattern, options) {
+  if (!options || typeof options !== 'object') {
+    return { error: 'Invalid site options.' };
   }
 
-  const { activePrebuiltLists } = await getStorage('activePrebuiltLists');
-  let updated;
+  const { blocklist, siteOptions } = await getStorage(['blocklist', 'siteOptions']);
+  if (typeof pattern !== 'string' || !blocklist.includes(pattern)) {
+    return { error: 'Site is not on your blocklist.' };
+  }
 
-  if (activePrebuiltLists.includes(listId)) {
-    // Always allow disabling a list
-    updated = activePrebuiltLists.filter(id => id !== listId);
-  } else {
-    // Enforce prebuilt list limit when enabling
-    const proStatus = await isPro();
-    const limits = getProLimits(proStatus);
-    if (activePrebuiltLists.length >= limits.maxPrebuiltLists) {
-      return {
+  // Options left out of the update keep their current values
+  const current = siteOptions[pattern] || {};
+  const blockEmbeds = 'blockEmbeds' in options ? options.blockEmbeds === true : current.blockEmbeds === true;
+  const blockRequests = 'blockRequests' in options ? options.blockRequests === true : current.blockRequests === true;
+  // Media/XHR blocking only applies on top of embed blocking
+  const next = {
+    blockEmbeds,
+    blockRequests: blockEmbeds && blockRequests,
+    speedBump: current.speedBump || 0,
+    redirectTo: current.redirectTo || null,
+    challenge: current.challenge || null
+  };
+
+  if ('speedBump' in options) {
+    const seconds = Number(options.speedBump);
+    if (seconds !== 0 && (!Number.isInteger(seconds) || seconds < SPEED_BUMP_MIN_SECONDS || seconds > SPEED_BUMP_MAX_SECONDS)) {
+      return { error: `Speed bump must be ${SPEED_BUMP_MIN_SECONDS}-${SPEED_BUMP_MAX_SECONDS} seconds.` };
+    }
+    next.speedBump = seconds;
+  }
+
+  if ('redirectTo' in options) {
+    if (!options.redirectTo) {
+      next.redirectTo = null;
+    } else {
+      const url = parseRedirectTarget(options.redirectTo);
+      if (!url) {
+        return { error: 'Redirect must be a web address like https://example.com.' };
+      }
+      const { allowlist } = await getStorage('allowlist');
+      if (isRedirectLoop(url, parseEntries(await getFullBlocklist()), parseEntries(allowlist))) {
+        return { error: `${url.hostname} is blocked too, so redirecting there would loop.` };
+      }
+      next.redirectTo = url.href;
+    }
+  }
+
+  if ('challenge' in options) {
+    if (options.challenge && !CHALLENGE_TYPES.includes(options.challenge)) {
+      return { error: 'Unknown unlock challenge.' };
+    }
+    next.challenge = options.challenge || null;
+  }
+
+  // Nuclear mode only allows making blocking stricter; a speed bump, or a
+  // shorter one, turns a block into something you can wait out
+  if (await isNuclearActive()) {
+    const loosensSpeedBump = next.speedBump > 0 && (!current.speedBump || next.speedBump < current.speedBump);
+    const dropsChallenge = current.challenge && !next.challenge;
+    if ((current.blockEmbeds && !next.blockEmbeds) || (current.blockRequests && !next.blockRequests) || loosensSpeedBump || dropsChallenge) {
+      return { error: 'Cannot loosen blocking during nuclear mode.' };
+    }
+  }
+
+  if (next.blockEmbeds || next.speedBump || next.redirectTo || next.challenge) {
+    if (!next.speedBump) delete next.speedBump;
+    if (!next.redirectTo) delete next.redirectTo;
+    if (!next.challenge) delete next.challenge;
+    siteOptions[pattern] = next;
+  } else {
+    delete siteOptions[pattern];
+  }
+
+  // Embed blocking adds a second rule for the entry
+  const regexError = await validateRegexRules({ siteOptions });
+  if (regexError) {
+    return regexError;
+  }
+
+  // DATA: Stores per-site blocking options. User-initiated. Not transmitted externally.
+  await setStorage({ siteOptions });
+
+  const ruleError = await reconcileBlockingRules();
+  if (ruleError) {
+    return ruleError;
+  }
+
+  return { success: true, siteOptions };
+}
+
+/**
+ * Validate and normalize a list of site patterns, dropping duplicates.
+ * @param {string[]} sites
+ * @returns {{ sanitized?: string[], error?: string }}
+ */
+function sanitizeSitePatterns(sites) {
+  const sanitized = [];
+  for (const site of sites) {
+    const entry = parseEntry(site);
+    if (!entry) {
+      return { error: `Invalid site: ${typeof site === 'string' ? site.slice(0, 100) : 'invalid'}` };
+    }
+    if (!sanitized.includes(entry.pattern)) {
+      sanitized.push(entry.pattern);
+    }
+  }
+  return { sanitized };
+}
+
+/**
+ * Check that every regexFilter the changed lists compile to is accepted by
+ * the browser's RE2 engine, and that the installed rules stay within the
+ * regex rule quota once the changes are saved.
+ * @param {object} changes — new values of any of blocklist, allowlist,
+ *   whitelist, siteOptions, siteBudgets, siteVisitLimits and schedules
+ * @returns {Promise<object|null>} error response, or null if valid
+ */
+async function validateRegexRules(changes) {
+  const entries = parseEntries([
+    ...(changes.blocklist || []),
+    ...(changes.allowlist || []),
+    ...(changes.whitelist || []),
+    ...Object.keys(changes.siteBudgets || {}),
+    ...Object.keys(changes.siteVisitLimits || {}),
+    ...(changes.schedules || []).flatMap(schedule => schedule.sites || [])
+  ]);
+
+  for (const entry of entries) {
+    const { regexFilter } = compileCondition(entry);
+    if (!regexFilter) continue;
+
+    const result = await chrome.declarativeNetRequest.isRegexSupported({ regex: regexFilter });
+    if (!result.isSupported) {
+      if (result.reason === 'memoryLimitExceeded') {
+        return { error: `Pattern is too complex for the browser: ${entry.pattern.slice(0, 100)}` };
+      }
+      return { error: `Pattern is not a supported regular expression: ${entry.pattern.slice(0, 100)}` };
+    }
+  }
+
+  const total = await countRegexRules(changes);
+  if (total > MAX_REGEX_RULES) {
+    return { error: `Too many path, wildcard, keyword and regex rules (${total}). The browser allows up to ${MAX_REGEX_RULES}.` };
+  }
+
+  return null;
+}
+
+/**
+ * Count the regexFilter rules installed when every blocking source is on at
+ * once: nuclear mode over the blocklist and every schedule's sites in the
+ * dynamic scope, a focus session in the session scope (each in blocklist or
+ * whitelist mode, whichever needs more), and every daily limit used up.
+ * The browser's quota covers the dynamic and session rules together.
+ * @param {object} changes — new list values, as for validateRegexRules()
+ * @returns {Promise<number>}
+ */
+async function countRegexRules(changes) {
+  const stored = await getStorage([...SITE_LIST_KEYS, 'siteOptions', 'siteBudgets', 'siteVisitLimits', 'nuclearSnapshot', 'settings']);
+  const lists = { ...stored, schedules: getSchedules(stored.settings), ...changes };
+
+  // Prebuilt lists hold plain hosts and paths, which need no regex rules
+  const domains = [...new Set([...lists.blocklist, ...(lists.nuclearSnapshot ? lists.nuclearSnapshot.blocklist : [])])];
+  const scheduleDomains = lists.schedules.flatMap(schedule => schedule.sites || []);
+
+  const countRules = rules => [...rules.values()].filter(rule => rule.condition.regexFilter).length;
+  const countScope = async sites => Math.max(
+    countRules(await buildBlockingRules(sites, false, lists)),
+    countRules(await buildBlockingRules(sites, true, lists))
+  );
+  const countEntries = patterns => parseEntries(patterns).filter(entry => blockCondition(entry).regexFilter).length;
+
+  const dynamic = await countScope([...new Set([...domains, ...scheduleDomains])]);
+  const limits = countEntries(Object.keys(lists.siteBudgets)) + countEntries(Object.keys(lists.siteVisitLimits));
+  const session = await countScope(domains);
+  return dynamic + limits + session;
+}
+
+async function handleUpdateAllowlist(sites) {
+  // Exceptions weaken the block set, so they are locked like the blocklist
+  const nuclearActive = await isNuclearActive();
+  if (nuclearActive) {
+    return { error: 'Cannot modify allowlist during nuclear mode.' };
+  }
+
+  if (!Array.isArray(sites)) {
+    return { error: 'Invalid allowlist format. Expected an array.' };
+  }
+
+  if (sites.length > MAX_ALLOWLIST_SIZE) {
+    return { error: `Allowlist cannot exceed ${MAX_ALLOWLIST_SIZE} sites.` };
+  }
+
+  const { sanitized, error } = sanitizeSitePatterns(sites);
+  if (error) {
+    return { error };
+  }
+
+  const regexError = await validateRegexRules({ allowlist: sanitized });
+  if (regexError) {
+    return regexError;
+  }
+
+  // DATA: Stores user-specified allowlist of site patterns. User-initiated. Not transmitted externally.
+  await setStorage({ allowlist: sanitized });
+
+  const ruleError = await reconcileBlockingRules();
+  if (ruleError) {
+    return ruleError;
+  }
+
+  return { success: true, allowlist: sanitized };
+}
+
+async function handleUpdateWhitelist(sites) {
+  const nuclearActive = await isNuclearActive();
+  if (nuclearActive) {
+    return { error: 'Cannot modify work sites during nuclear mode.' };
+  }
+
+  if (!Array.isArray(sites)) {
+    return { error: 'Invalid work sites format. Expected an array.' };
+  }
+
+  if (sites.length > MAX_ALLOWLIST_SIZE) {
+    return { error: `Work sites cannot exceed ${MAX_ALLOWLIST_SIZE} entries.` };
+  }
+
+  const { sanitized, error } = sanitizeSitePatterns(sites);
+  if (error) {
+    return { error };
+  }
+
+  const regexError = await validateRegexRules({ whitelist: sanitized });
+  if (regexError) {
+    return regexError;
+  }
+
+  // DATA: Stores user-specified work sites for whitelist mode. User-initiated. Not transmitted externally.
+  await setStorage({ whitelist: sanitized });
+
+  const ruleError = await reconcileBlockingRules();
+  if (ruleError) {
+    return ruleError;
+  }
+
+  return { success: true, whitelist: sanitized };
+}
+
+/**
+ * Check a requested focus length: whole minutes within bounds, and one of
+ * the preset lengths unless the user has Pro. A missing duration means the
+ * timer profile's focus length.
+ * @param {*} duration — raw minutes from the message
+ * @returns {Promise<object|null>} error response, or null if valid
+ */
+async function validateSessionDuration(duration) {
+  if (duration == null) return null;
+  const minutes = Number(duration);
+  if (!Number.isInteger(minutes) || minutes < MIN_SESSION_MINUTES || minutes > MAX_SESSION_MINUTES) {
+    return { error: `Invalid duration. Must be ${MIN_SESSION_MINUTES}-${MAX_SESSION_MINUTES} minutes.` };
+  }
+  if (await isPro()) return null;
+
+  const profile = await getTimerProfile();
+  if (!FREE_SESSION_DURATIONS.includes(minutes) && minutes !== profile.focusDuration) {
+    return { error: 'Custom durations require Pro.' };
+  }
+  return null;
+}
+
+/**
+ * Keep a custom focus length at the front of the recent list the popup
+ * offers. The preset lengths aren't worth remembering.
+ * @param {number} minutes
+ */
+async function rememberRecentDuration(minutes) {
+  const profile = await getTimerProfile();
+  if (FREE_SESSION_DURATIONS.includes(minutes) || minutes === profile.focusDuration) return;
+
+  const { recentDurations } = await getStorage('recentDurations');
+  const updated = [minutes, ...recentDurations.filter(m => m !== minutes)].slice(0, MAX_RECENT_DURATIONS);
+  // DATA: Stores the last few custom focus lengths. Automatically managed. Not transmitted externally.
+  await setStorage({ recentDurations: updated });
+}
+
+/**
+ * Save the focus lengths the popup offers as presets. Pro only.
+ * @param {number[]} presets — minutes
+ */
+async function handleUpdateDurationPresets(presets) {
+  if (!Array.isArray(presets)) {
+    return { error: 'Invalid presets.' };
+  }
+  if (!(await isPro())) {
+    return { error: 'Custom durations require Pro.' };
+  }
+
+  const minutes = [...new Set(presets.map(Number))];
+  if (minutes.some(m => !Number.isInteger(m) || m < MIN_SESSION_MINUTES || m > MAX_SESSION_MINUTES)) {
+    return { error: `Presets must be ${MIN_SESSION_MINUTES}-${MAX_SESSION_MINUTES} minutes.` };
+  }
+  if (minutes.length > MAX_DURATION_PRESETS) {
+    return { error: `You can save up to ${MAX_DURATION_PRESETS} presets.` };
+  }
+
+  const { settings } = await getStorage('settings');
+  settings.durationPresets = minutes.sort((a, b) => a - b);
+  // DATA: Stores the user's saved focus lengths. User-initiated. Not transmitted externally.
+  await setStorage({ settings });
+
+  return { success: true, durationPresets: settings.durationPresets };
+}
+
+/**
+ * Refuse to replace a running focus session while settings are locked: a
+ * shorter session, or one without the blocklist, would end it early the way
+ * STOP_SESSION does.
+ * @returns {Promise<object|null>} error response, or null if allowed
+ */
+async function validateSessionReplace() {
+  const timerState = await getTimerState();
+  if (timerState && timerState.status === 'focus' && !(await isSettingsUnlocked())) {
+    return { error: SETTINGS_LOCKED_ERROR, locked: true };
+  }
+  return null;
+}
+
+/**
+ * Reject whitelist mode when there are no work sites to allow; otherwise
+ * the catch-all rule would block every page.
+ * @param {*} whitelistMode — raw flag from the message
+ * @returns {Promise<object|null>} error response, or null if valid
+ */
+async function validateWhitelistMode(whitelistMode) {
+  if (whitelistMode == null || whitelistMode === false) return null;
+  if (whitelistMode !== true) {
+    return { error: 'Invalid whitelist mode flag.' };
+  }
+  const { whitelist } = await getStorage('whitelist');
+  if (!whitelist || whitelist.length === 0) {
+    return { error: 'Add at least one work site before starting whitelist mode.' };
+  }
+  return null;
+}
+
+async function handleTogglePrebuiltList(listId) {
+  const { activePrebuiltLists } = await getStorage('activePrebuiltLists');
+  let updated;
+
+  if (activePrebuiltLists.includes(listId)) {
+    // Nuclear mode only allows enabling more lists
+    if (await isNuclearActive()) {
+      return { error: 'Cannot turn off lists during nuclear mode. You can only add more.' };
+    }
+    // Otherwise always allow disabling a list
+    updated = activePrebuiltLists.filter(id => id !== listId);
+  } else {
+    // Enforce prebuilt list limit when enabling
+    const proStatus = await isPro();
+    const limits = getProLimits(proStatus);
+    if (activePrebuiltLists.length >= limits.maxPrebuiltLists) {
+      return {
         error: proStatus
           ? 'Maximum prebuilt lists reached.'
           : `Free plan allows ${limits.maxPrebuiltLists} prebuilt lists. Upgrade to Pro for unlimited.`,
@@ -906,48 +2656,228 @@ async function handleTogglePrebuiltList(listId) {
   // DATA: Stores which prebuilt blocklists the user has enabled. User-initiated. Not transmitted.
   await setStorage({ activePrebuiltLists: updated });
 
-  const timerState = await getTimerState();
-  const scheduleActive = await isScheduleActive();
-
-  if ((timerState && timerState.status === 'focus') || scheduleActive) {
-    const domains = await getFullBlocklist();
-    await updateBlockingRules(domains);
+  const ruleError = await reconcileBlockingRules();
+  if (ruleError) {
+    return ruleError;
   }
 
   return { success: true, activePrebuiltLists: updated };
 }
 
-async function handleCheckBlocked(payload) {
-  const domains = await getFullBlocklist();
-  const cleanDomain = payload.domain.replace(/^www\./, '').replace(/\/.*$/, '');
-  const inBlocklist = domains.some(d => {
-    const clean = d.replace(/^www\./, '').replace(/\/.*$/, '');
-    return clean === cleanDomain;
-  });
+/**
+ * Resolve the URL a CHECK_BLOCKED payload refers to. Falls back to the bare
+ * domain when the content script could not send a parseable URL.
+ * @param {object} payload
+ * @returns {URL|null}
+ */
+function payloadToUrl(payload) {
+  try {
+    if (typeof payload.url === 'string' && /^https?:/i.test(payload.url)) {
+      return new URL(payload.url);
+    }
+    return new URL('https://' + payload.domain);
+  } catch (e) {
+    return null;
+  }
+}
+
+// The detector's fallback redirect sends the block page the blocked URL,
+// but per-entry speed bumps and challenges (keyword and regex entries
+// especially) must not depend on the page passing it back unchanged, so the
+// service worker keeps its own copy per tab.
+
+/**
+ * @param {number} tabId
+ * @param {string} url — the URL the detector found blocked
+ */
+async function rememberBlockedUrl(tabId, url) {
+  if (typeof url !== 'string' || !/^https?:/i.test(url)) return;
+  const { blockedTabUrls = {} } = await chrome.storage.session.get('blockedTabUrls');
+  blockedTabUrls[tabId] = url;
+  // DATA: Remembers the URL the detector blocked in a tab. Ephemeral. Not transmitted.
+  await chrome.storage.session.set({ blockedTabUrls });
+}
+
+/**
+ * The URL a block page message is about: the one the detector blocked in
+ * the sender's tab when it is on the message's site, otherwise the URL the
+ * page passed (DNR redirects).
+ * @param {object} message — carries domain and, optionally, url
+ * @param {chrome.runtime.MessageSender} sender
+ * @returns {Promise<string|undefined>}
+ */
+async function getBlockedPageUrl(message, sender) {
+  const passed = typeof message.url === 'string' ? message.url : undefined;
+  if (!sender || !sender.tab) return passed;
+
+  const { blockedTabUrls = {} } = await chrome.storage.session.get('blockedTabUrls');
+  const remembered = blockedTabUrls[sender.tab.id];
+  const url = remembered && payloadToUrl({ url: remembered });
+  const site = message.domain.replace(/^www\./, '');
+  if (url && (url.hostname === site || url.hostname.endsWith('.' + site))) {
+    return remembered;
+  }
+  return passed;
+}
 
-  if (!inBlocklist) {
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  const { blockedTabUrls } = await chrome.storage.session.get('blockedTabUrls');
+  if (blockedTabUrls && tabId in blockedTabUrls) {
+    delete blockedTabUrls[tabId];
+    // DATA: Forgets the closed tab's blocked URL. Ephemeral. Not transmitted.
+    await chrome.storage.session.set({ blockedTabUrls });
+  }
+});
+
+async function handleCheckBlocked(payload, tabId) {
+  const url = payloadToUrl(payload);
+  if (!url) {
     return { blocked: false };
   }
 
-  const nuclearActive = await isNuclearActive();
-  if (nuclearActive) {
-    return { blocked: true, reason: 'nuclear' };
+  // Allowlist exceptions and live overrides win over any block, as in DNR
+  if (findMatchingEntry(await getExceptionEntries(), url)) {
+    return { blocked: false };
   }
 
-  const scheduleActive = await isScheduleActive();
-  if (scheduleActive) {
-    return { blocked: true, reason: 'schedule' };
+  // Used-up time budgets block all day, with or without a session
+  const budget = (await getBudgetStatus()).find(b => b.exhausted && matchesEntry(b.entry, url));
+  if (budget) {
+    return { blocked: true, reason: 'budget', domain: budget.entry.host || url.hostname.replace(/^www\./, '') };
   }
 
-  const timerState = await getTimerState();
-  if (timerState && timerState.status === 'focus') {
-    return { blocked: true, reason: 'blocklist' };
+  // Used-up visit limits block too, except in the tab whose visit used up the
+  // limit: the detector checks that visit's own page load
+  const visitLimit = (await getVisitLimitStatus()).find(l => l.exhausted && matchesEntry(l.entry, url));
+  if (visitLimit) {
+    const { visitTabs = {} } = await chrome.storage.session.get('visitTabs');
+    if (tabId === null || visitTabs[tabId] !== visitLimit.entry.pattern) {
+      return { blocked: true, reason: 'visits', domain: visitLimit.entry.host || url.hostname.replace(/^www\./, '') };
+    }
+  }
+
+  const { blocking, dynamicEntries, sessionEntries, entries } = await getBlockedEntries();
+
+  // These blocks outrank work sites, so they are checked before whitelist mode
+  const dynamicMatch = findMatchingEntry(dynamicEntries, url);
+  const match = dynamicMatch || findMatchingEntry(sessionEntries, url);
+  if (match) {
+    // Keyword and regex entries have no host of their own
+    const blockedDomain = match.host || url.hostname.replace(/^www\./, '');
+
+    // Entries with a productive-site redirect send the detector there instead
+    const { siteOptions, allowlist } = await getStorage(['siteOptions', 'allowlist']);
+    const redirectUrl = redirectTarget(siteOptions[match.pattern], entries, parseEntries(allowlist));
+
+    const reason = !dynamicMatch ? 'blocklist' : (blocking.nuclear ? 'nuclear' : 'schedule');
+    return { blocked: true, reason, domain: blockedDomain, redirectUrl };
+  }
+
+  // Whitelist mode blocks every page that is not a work site
+  if ((blocking.dynamic && blocking.dynamic.whitelistMode) || (blocking.session && blocking.session.whitelistMode)) {
+    const { whitelist } = await getStorage('whitelist');
+    if (findMatchingEntry(parseEntries(whitelist), url)) {
+      return { blocked: false };
+    }
+    return { blocked: true, reason: 'whitelist', domain: url.hostname.replace(/^www\./, '') };
   }
 
   return { blocked: false };
 }
 
-async function getBlockInfo(domain) {
+/**
+ * The entries the installed rules block right now. Mirrors
+ * reconcileBlockingRules(): nuclear mode blocks the blocklist and open
+ * schedules' lists, open schedules block their own lists, and a session
+ * blocks the blocklist, unless that scope runs in whitelist mode.
+ * @returns {Promise<{ blocking: object, dynamicEntries: object[], sessionEntries: object[], entries: object[] }>}
+ *   entries is every blocklist and open schedule entry, for redirect loop checks
+ */
+async function getBlockedEntries() {
+  const blocking = await getBlockingState();
+  const blocklist = await getFullBlocklist();
+  const scheduleDomains = await getScheduleBlocklist(blocking.schedules);
+  const dynamicEntries = (blocking.dynamic && !blocking.dynamic.whitelistMode)
+    ? parseEntries(blocking.nuclear ? [...blocklist, ...scheduleDomains] : scheduleDomains)
+    : [];
+  const sessionEntries = (blocking.session && !blocking.session.whitelistMode)
+    ? parseEntries(blocklist)
+    : [];
+  return { blocking, dynamicEntries, sessionEntries, entries: parseEntries([...blocklist, ...scheduleDomains]) };
+}
+
+/**
+ * Count redirects to productive sites as distractions. DNR sends these
+ * navigations straight to the destination, so neither the block page nor
+ * the detector sees them; webNavigation reports the blocked URL before the
+ * redirect happens, and the entry it matches is the one credited.
+ */
+chrome.webNavigation.onBeforeNavigate.addListener(async (details) => {
+  if (details.frameId !== 0 || !/^https?:/.test(details.url)) return;
+
+  try {
+    // Cheap check first: most users have no redirects at all
+    const { siteOptions } = await getStorage('siteOptions');
+    if (!Object.values(siteOptions).some(options => options.redirectTo)) return;
+
+    const url = new URL(details.url);
+    const result = await handleCheckBlocked({ domain: url.hostname, url: details.url }, details.tabId);
+    if (result.blocked && result.redirectUrl) {
+      await recordDistraction(result.domain);
+    }
+  } catch (err) {
+    console.error('[SW] Failed to count redirect:', err);
+  }
+});
+
+/**
+ * Parsed allowlist entries plus live overrides (none during nuclear mode).
+ * @returns {Promise<object[]>}
+ */
+async function getExceptionEntries() {
+  const { allowlist, overrides } = await getStorage(['allowlist', 'overrides']);
+  const patterns = [...allowlist];
+  if (!(await isNuclearActive())) {
+    const now = Date.now();
+    patterns.push(...Object.keys(overrides).filter(host => overrides[host] > now));
+  }
+  return parseEntries(patterns);
+}
+
+/**
+ * Check which iframe URLs on a page are blocked embeds, so the detector can
+ * swap them for a placeholder card. Mirrors the embed: DNR rules.
+ * @param {{ urls: string[] }} payload
+ * @returns {Promise<{ blocked: boolean[] }>}
+ */
+async function handleCheckEmbeds(payload) {
+  const urls = payload && Array.isArray(payload.urls) ? payload.urls.slice(0, MAX_EMBED_CHECKS) : [];
+  // Embed rules are only installed for the entries the active scopes block
+  const { dynamicEntries, sessionEntries } = await getBlockedEntries();
+  if (dynamicEntries.length === 0 && sessionEntries.length === 0) {
+    return { blocked: urls.map(() => false) };
+  }
+
+  const { siteOptions } = await getStorage('siteOptions');
+  const embedEntries = [...dynamicEntries, ...sessionEntries]
+    .filter(entry => siteOptions[entry.pattern] && siteOptions[entry.pattern].blockEmbeds);
+  const exceptions = await getExceptionEntries();
+
+  return {
+    blocked: urls.map(raw => {
+      let url;
+      try {
+        url = new URL(raw);
+      } catch (e) {
+        return false;
+      }
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') return false;
+      return !!findMatchingEntry(embedEntries, url) && !findMatchingEntry(exceptions, url);
+    })
+  };
+}
+
+async function getBlockInfo(domain, url) {
   const stats = await getTodayStats();
   const { streak, settings } = await getStorage(['streak', 'settings']);
   const timerState = await getTimerState();
@@ -963,13 +2893,33 @@ async function getBlockInfo(domain) {
   const randomQuote = quotes[Math.floor(Math.random() * quotes.length)];
   const domainAttempts = stats.sitesBlocked[domain] || 0;
 
+  // Time budget covering the domain's home page, if any
+  let budget = null;
+  const domainUrl = domain ? payloadToUrl({ domain }) : null;
+  const budgetStatus = domainUrl && (await getBudgetStatus()).find(b => matchesEntry(b.entry, domainUrl));
+  if (budgetStatus) {
+    budget = {
+      minutes: budgetStatus.minutes,
+      remainingMinutes: Math.max(0, Math.ceil((budgetStatus.minutes * 60 - budgetStatus.usedSeconds) / 60)),
+      exhausted: budgetStatus.exhausted
+    };
+  }
+
+  // Visit limit covering the domain's home page, if any
+  let visitLimit = null;
+  const visitStatus = domainUrl && (await getVisitLimitStatus()).find(l => matchesEntry(l.entry, domainUrl));
+  if (visitStatus) {
+    visitLimit = { visits: visitStatus.visits, used: visitStatus.used, exhausted: visitStatus.exhausted };
+  }
+
+  const override = domain ? await getOverrideTerms(domain, url) : null;
+
   // Adjust timer remaining based on current time
   let adjustedTimer = timerState;
   if (timerState && timerState.startedAt && timerState.status !== 'idle') {
-    const elapsed = Math.floor((Date.now() - timerState.startedAt) / 1000);
     adjustedTimer = {
       ...timerState,
-      remaining: Math.max(0, timerState.duration - elapsed)
+      remaining: getTimerRemaining(timerState)
     };
   }
 
@@ -982,53 +2932,693 @@ async function getBlockInfo(domain) {
     quote: randomQuote,
     timerState: adjustedTimer,
     settings: settings,
-    todayStats: stats
+    todayStats: stats,
+    budget,
+    visitLimit,
+    override
   };
 }
 
-async function handleOverrideBlock(domain) {
-  const nuclearActive = await isNuclearActive();
-  if (nuclearActive) {
-    return { error: 'Cannot override blocks during nuclear mode.' };
+/**
+ * Countdown in seconds before a blocked URL can be overridden: the longest
+ * speed bump among the blocklist entries matching it, or 0 if any of them
+ * is a plain block (or none matches).
+ * @param {URL|null} url
+ * @returns {Promise<number>}
+ */
+async function getSpeedBumpSeconds(url) {
+  if (!url) return 0;
+
+  const { siteOptions } = await getStorage('siteOptions');
+  const matches = parseEntries(await getFullBlocklist()).filter(entry => matchesEntry(entry, url));
+  if (matches.length === 0) return 0;
+
+  let seconds = 0;
+  for (const entry of matches) {
+    const speedBump = (siteOptions[entry.pattern] || {}).speedBump || 0;
+    if (!speedBump) return 0;
+    seconds = Math.max(seconds, speedBump);
   }
+  return seconds;
+}
 
-  // Record the override as a distraction and temporarily remove
-  // the blocking rule for this domain so navigation can proceed.
-  await recordDistraction(domain);
+/**
+ * The unlock challenge for a blocked URL: the first one set on a matching
+ * blocklist entry, otherwise the override policy's global challenge.
+ * @param {URL|null} url
+ * @param {string|null} fallback — the global challenge
+ * @returns {Promise<string|null>}
+ */
+async function getChallengeType(url, fallback) {
+  if (url) {
+    const { siteOptions } = await getStorage('siteOptions');
+    const entry = parseEntries(await getFullBlocklist())
+      .find(e => matchesEntry(e, url) && (siteOptions[e.pattern] || {}).challenge);
+    if (entry) return siteOptions[entry.pattern].challenge;
+  }
+  return fallback || null;
+}
+
+/**
+ * The override policy from settings, with defaults for anything unset.
+ * @returns {Promise<{ maxPerDay: number, cooldownMinutes: number, escalatingWait: boolean, challenge: string|null }>}
+ */
+async function getOverridePolicy() {
+  const { settings } = await getStorage('settings');
+  return { ...DEFAULT_OVERRIDE_POLICY, ...(settings.overridePolicy || {}) };
+}
 
+/**
+ * Whether a blocked domain can be overridden right now, and on what terms:
+ * how long to wait first, whether an intention is required and which
+ * unlock challenge to pass. Every override path goes through this, so the
+ * policy holds whatever the page does.
+ * @param {string} domain
+ * @param {string} [url] — original blocked URL, for keyword/regex entries
+ * @returns {Promise<{ available: boolean, code?: string, reason?: string, waitSeconds: number, requiresIntention: boolean, challenge: string|null }>}
+ */
+async function getOverrideTerms(domain, url) {
+  const unavailable = (code, reason) => ({ available: false, code, reason, waitSeconds: 0, requiresIntention: false, challenge: null });
   const cleanDomain = domain.replace(/^www\./, '').replace(/\/.*$/, '');
 
-  // Remove only the rule matching this domain
-  const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
-  const idsToRemove = existingRules
-    .filter(r => {
-      const filter = r.condition && r.condition.urlFilter;
-      if (!filter) return false;
-      return filter === '||' + cleanDomain;
-    })
-    .map(r => r.id);
+  if (await isNuclearActive()) {
+    return unavailable('nuclear', 'Cannot override blocks during nuclear mode.');
+  }
 
-  if (idsToRemove.length > 0) {
-    await chrome.declarativeNetRequest.updateDynamicRules({
-      removeRuleIds: idsToRemove
-    });
+  // Whitelist mode is adjusted through work sites, not per-site overrides
+  if (await isWhitelistModeActive()) {
+    return unavailable('whitelist', 'Overrides are not available in whitelist mode. Add the site to your work sites instead.');
   }
 
-  // Set a 5-minute alarm to re-add the blocking rule
-  await chrome.alarms.create('override-' + cleanDomain, { delayInMinutes: 5 });
+  // A used-up daily limit is the day's allowance; it is not overridable
+  const homeUrl = payloadToUrl({ domain });
+  if (homeUrl && (await getBudgetStatus()).some(b => b.exhausted && matchesEntry(b.entry, homeUrl))) {
+    return unavailable('limit', 'Today\'s time budget for this site is used up.');
+  }
+  if (homeUrl && (await getVisitLimitStatus()).some(l => l.exhausted && matchesEntry(l.entry, homeUrl))) {
+    return unavailable('limit', 'Today\'s visits to this site are used up.');
+  }
 
-  return { success: true };
+  const policy = await getOverridePolicy();
+  const stats = await getTodayStats();
+  const used = stats.overrideCount || 0;
+  if (policy.maxPerDay && used >= policy.maxPerDay) {
+    return unavailable('quota', `You've used all ${policy.maxPerDay} overrides for today.`);
+  }
+
+  const { overrideCooldowns } = await getStorage('overrideCooldowns');
+  const cooldownUntil = overrideCooldowns[cleanDomain] || 0;
+  if (cooldownUntil > Date.now()) {
+    const minutes = Math.ceil((cooldownUntil - Date.now()) / 60000);
+    return unavailable('cooldown', `You can override ${cleanDomain} again in ${minutes} min.`);
+  }
+
+  // Each override today waits longer than the last, up to the final step
+  const blockedUrl = payloadToUrl({ domain, url });
+  const speedBump = await getSpeedBumpSeconds(blockedUrl);
+  const escalation = policy.escalatingWait
+    ? OVERRIDE_WAIT_STEPS[Math.min(used, OVERRIDE_WAIT_STEPS.length - 1)]
+    : 0;
+
+  return {
+    available: true,
+    waitSeconds: Math.max(speedBump, escalation),
+    requiresIntention: speedBump > 0,
+    challenge: await getChallengeType(blockedUrl, policy.challenge)
+  };
+}
+
+/**
+ * Start the wait before overriding a blocked domain (speed bump or
+ * escalating wait). The override is only granted once the wait has run, so
+ * reloading the block page starts it over.
+ * @param {string} domain
+ * @param {string} [url] — original blocked URL, for keyword/regex entries
+ */
+async function handleStartOverrideWait(domain, url) {
+  const terms = await getOverrideTerms(domain, url);
+  if (!terms.available) {
+    return { error: terms.reason };
+  }
+
+  const cleanDomain = domain.replace(/^www\./, '').replace(/\/.*$/, '');
+  const readyAt = Date.now() + terms.waitSeconds * 1000;
+
+  const { overrideWaits = {} } = await chrome.storage.session.get('overrideWaits');
+  overrideWaits[cleanDomain] = readyAt;
+  // DATA: Stores when each override wait ends. Ephemeral. Not transmitted.
+  await chrome.storage.session.set({ overrideWaits });
+
+  return { success: true, seconds: terms.waitSeconds, readyAt, requiresIntention: terms.requiresIntention };
+}
+
+function randomInt(min, max) {
+  return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+/**
+ * Issue the unlock challenge a blocked domain requires. Issuing a new one
+ * replaces any earlier challenge for the domain, so a token works once.
+ * @param {string} domain
+ * @param {string} [url] — original blocked URL, for keyword/regex entries
+ */
+async function handleStartChallenge(domain, url) {
+  const terms = await getOverrideTerms(domain, url);
+  if (!terms.available) {
+    return { error: terms.reason };
+  }
+  if (!terms.challenge) {
+    return { error: 'This site has no unlock challenge.' };
+  }
+
+  const cleanDomain = domain.replace(/^www\./, '').replace(/\/.*$/, '');
+  const now = Date.now();
+  const challenge = { token: crypto.randomUUID(), type: terms.challenge, expiresAt: now + CHALLENGE_TTL_MS };
+  const response = { success: true, token: challenge.token, type: challenge.type };
+
+  if (challenge.type === 'typing') {
+    const paragraph = CHALLENGE_PARAGRAPHS[Math.floor(Math.random() * CHALLENGE_PARAGRAPHS.length)];
+    challenge.answer = paragraph;
+    response.paragraph = paragraph;
+  } else if (challenge.type === 'math') {
+    const problems = [];
+    challenge.answer = [];
+    for (let i = 0; i < CHALLENGE_MATH_PROBLEMS; i++) {
+      const a = randomInt(12, 49);
+      const b = randomInt(3, 9);
+      const c = randomInt(10, 99);
+      problems.push(`${a} \u00d7 ${b} + ${c}`);
+      challenge.answer.push(a * b + c);
+    }
+    response.problems = problems;
+  } else {
+    // Holding is timed here, not on the page; the page starts a new
+    // challenge each time the button is pressed
+    challenge.readyAt = now + CHALLENGE_HOLD_SECONDS * 1000;
+    response.readyAt = challenge.readyAt;
+    response.seconds = CHALLENGE_HOLD_SECONDS;
+  }
+
+  const { overrideChallenges = {} } = await chrome.storage.session.get('overrideChallenges');
+  overrideChallenges[cleanDomain] = challenge;
+  // DATA: Stores the issued unlock challenge and its answer. Ephemeral. Not transmitted.
+  await chrome.storage.session.set({ overrideChallenges });
+
+  return response;
+}
+
+/**
+ * Check an answer to the domain's issued challenge. A wrong answer uses up
+ * the token, so each set of problems or paragraph gets one try.
+ * @param {string} cleanDomain
+ * @param {string} type — the challenge the override terms require
+ * @param {{ token?: string, answer?: * }} [submission]
+ * @returns {Promise<string|null>} error message, or null if passed
+ */
+async function verifyChallenge(cleanDomain, type, submission) {
+  const { overrideChallenges = {} } = await chrome.storage.session.get('overrideChallenges');
+  const challenge = overrideChallenges[cleanDomain];
+  if (!challenge || !submission || submission.token !== challenge.token || challenge.type !== type) {
+    return 'Complete the unlock challenge first.';
+  }
+  if (Date.now() > challenge.expiresAt) {
+    delete overrideChallenges[cleanDomain];
+    await chrome.storage.session.set({ overrideChallenges });
+    return 'The challenge expired. Try a new one.';
+  }
+  if (type === 'hold' && Date.now() < challenge.readyAt) {
+    return 'Keep holding until the timer finishes.';
+  }
+
+  let passed = true;
+  if (type === 'typing') {
+    const normalize = text => String(text || '').trim().replace(/\s+/g, ' ');
+    passed = normalize(submission.answer) === challenge.answer;
+  } else if (type === 'math') {
+    const answers = Array.isArray(submission.answer) ? submission.answer : [];
+    passed = challenge.answer.every((expected, i) => Number(answers[i]) === expected);
+  }
+
+  delete overrideChallenges[cleanDomain];
+  await chrome.storage.session.set({ overrideChallenges });
+
+  if (!passed) {
+    return type === 'typing'
+      ? 'The text doesn\'t match. Try a new paragraph.'
+      : 'Not all answers are right. Try a new set of problems.';
+  }
+  return null;
+}
+
+/**
+ * Append an override to the override log, with the intention the user gave.
+ * @param {string} domain
+ * @param {string|null} intention
+ */
+async function logOverride(domain, intention) {
+  const { overrideLog } = await getStorage('overrideLog');
+  const log = [...overrideLog, { domain, intention, at: Date.now() }].slice(-MAX_OVERRIDE_LOG);
+  // DATA: Stores recent overrides and the stated intention for each. User-initiated. Not transmitted externally.
+  await setStorage({ overrideLog: log });
+}
+
+/**
+ * Temporarily allow a blocked domain, within the override policy.
+ * @param {string} domain
+ * @param {{ url?: string, intention?: string, minutes?: number, challenge?: { token: string, answer?: * } }} [details] —
+ *   sites with a wait need it finished; speed-bump sites also need a stated
+ *   intention; sites with an unlock challenge need its token and answer;
+ *   minutes is one of OVERRIDE_DURATIONS
+ */
+async function handleOverrideBlock(domain, details = {}) {
+  const terms = await getOverrideTerms(domain, details.url);
+  if (!terms.available) {
+    return { error: terms.reason };
+  }
+
+  const minutes = details.minutes === undefined ? DEFAULT_OVERRIDE_MINUTES : details.minutes;
+  if (!OVERRIDE_DURATIONS.includes(minutes)) {
+    return { error: 'Override length must be 1, 5 or 15 minutes.' };
+  }
+
+  const cleanDomain = domain.replace(/^www\./, '').replace(/\/.*$/, '');
+  const intention = typeof details.intention === 'string'
+    ? details.intention.trim().slice(0, MAX_INTENTION_LENGTH)
+    : '';
+
+  const { overrideWaits = {} } = await chrome.storage.session.get('overrideWaits');
+  if (terms.waitSeconds) {
+    if (!overrideWaits[cleanDomain] || Date.now() < overrideWaits[cleanDomain]) {
+      return { error: 'Wait for the countdown to finish.' };
+    }
+    if (terms.requiresIntention && !intention) {
+      return { error: 'Say why you are opening this site.' };
+    }
+  }
+
+  if (terms.challenge) {
+    const challengeError = await verifyChallenge(cleanDomain, terms.challenge, details.challenge);
+    if (challengeError) {
+      return { error: challengeError };
+    }
+  }
+
+  if (terms.waitSeconds) {
+    delete overrideWaits[cleanDomain];
+    await chrome.storage.session.set({ overrideWaits });
+  }
+
+  // Record the override as a distraction and temporarily allow the domain
+  // so navigation can proceed.
+  await recordDistraction(domain);
+  await recordOverride();
+  await logOverride(cleanDomain, intention || null);
+
+  // The override is an allow rule alongside the blocking rules, so it covers
+  // every entry for the domain (host, path, wildcard, keyword and regex)
+  const expiresAt = Date.now() + minutes * 60 * 1000;
+  const { overrides, overrideCooldowns } = await getStorage(['overrides', 'overrideCooldowns']);
+  overrides[cleanDomain] = expiresAt;
+
+  // The site's cooldown starts once this override runs out
+  const { cooldownMinutes } = await getOverridePolicy();
+  const now = Date.now();
+  const cooldowns = Object.fromEntries(Object.entries(overrideCooldowns).filter(([, until]) => until > now));
+  if (cooldownMinutes) {
+    cooldowns[cleanDomain] = expiresAt + cooldownMinutes * 60 * 1000;
+  }
+
+  // DATA: Stores active site overrides, their expiry, and per-site override cooldowns. User-initiated. Not transmitted externally.
+  await setStorage({ overrides, overrideCooldowns: cooldowns });
+
+  // Not in use by any tab yet; the tab on the block page is about to navigate
+  const { overridesInUse = {} } = await chrome.storage.session.get('overridesInUse');
+  delete overridesInUse[cleanDomain];
+  await chrome.storage.session.set({ overridesInUse });
+
+  await reconcileBlockingRules();
+
+  // Set an alarm to re-add the blocking rule when the override runs out;
+  // closing the site's last tab ends it sooner (see checkOverrideTabs)
+  await chrome.alarms.create('override-' + cleanDomain, { delayInMinutes: minutes });
+
+  return { success: true, expiresAt };
+}
+
+/**
+ * Save the user's Pomodoro cycle; null goes back to the defaults. It
+ * applies from the next focus session or break.
+ * @param {object|null} profile
+ */
+async function handleUpdateTimerProfile(profile) {
+  let timerProfile = null;
+
+  if (profile != null) {
+    if (typeof profile !== 'object') {
+      return { error: 'Invalid timer profile.' };
+    }
+    timerProfile = {};
+    for (const [key, { min, max, label, unit }] of Object.entries(TIMER_PROFILE_BOUNDS)) {
+      const value = Number(profile[key]);
+      if (!Number.isInteger(value) || value < min || value > max) {
+        return { error: `${label} must be ${min}-${max}${unit}.` };
+      }
+      timerProfile[key] = value;
+    }
+    timerProfile.blockWhilePaused = profile.blockWhilePaused !== false;
+  }
+
+  const { settings } = await getStorage('settings');
+  settings.timerProfile = timerProfile;
+  // DATA: Stores the user's focus and break lengths. User-initiated. Not transmitted externally.
+  await setStorage({ settings });
+
+  return { success: true, timerProfile: await getTimerProfile() };
 }
 
-async function handleUpdateSchedule(schedule) {
+async function handleUpdateOverridePolicy(policy) {
+  if (!policy || typeof policy !== 'object') {
+    return { error: 'Invalid override policy.' };
+  }
+
+  const maxPerDay = Number(policy.maxPerDay);
+  if (!Number.isInteger(maxPerDay) || maxPerDay < 0 || maxPerDay > MAX_OVERRIDES_PER_DAY) {
+    return { error: `Daily overrides must be 0-${MAX_OVERRIDES_PER_DAY} (0 for no limit).` };
+  }
+
+  const cooldownMinutes = Number(policy.cooldownMinutes);
+  if (!Number.isInteger(cooldownMinutes) || cooldownMinutes < 0 || cooldownMinutes > MAX_OVERRIDE_COOLDOWN_MINUTES) {
+    return { error: `Cooldown must be 0-${MAX_OVERRIDE_COOLDOWN_MINUTES} minutes.` };
+  }
+
+  const challenge = policy.challenge || null;
+  if (challenge && !CHALLENGE_TYPES.includes(challenge)) {
+    return { error: 'Unknown unlock challenge.' };
+  }
+
+  // Overrides are off during nuclear mode anyway; keep the policy from
+  // being loosened for when it ends
+  if (await isNuclearActive()) {
+    return { error: 'Cannot change the override policy during nuclear mode.' };
+  }
+
   const { settings } = await getStorage('settings');
-  settings.schedule = schedule;
-  // DATA: Stores user-configured blocking schedule. User-initiated. Not transmitted externally.
+  settings.overridePolicy = { maxPerDay, cooldownMinutes, escalatingWait: policy.escalatingWait === true, challenge };
+  // DATA: Stores the user's override policy. User-initiated. Not transmitted externally.
   await setStorage({ settings });
 
-  // Immediately check if the schedule should activate or deactivate blocking
-  await checkSchedule();
+  return { success: true, overridePolicy: settings.overridePolicy };
+}
+
+/**
+ * Validate one schedule from the options page.
+ * @param {object} schedule
+ * @param {number} index — position in the list, for the default name
+ * @param {boolean} proStatus
+ * @returns {{ schedule?: object, error?: string, limitReached?: boolean }}
+ */
+function sanitizeSchedule(schedule, index, proStatus) {
+  if (!schedule || typeof schedule !== 'object') {
+    return { error: 'Invalid schedule format.' };
+  }
+
+  const limits = getProLimits(proStatus);
+  const name = typeof schedule.name === 'string' && schedule.name.trim()
+    ? schedule.name.trim().slice(0, MAX_SCHEDULE_NAME_LENGTH)
+    : `Schedule ${index + 1}`;
+
+  if (!Array.isArray(schedule.days) || !schedule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    return { error: `${name}: invalid days.` };
+  }
+  // An end before the start runs overnight; an equal one is ambiguous
+  const ranges = Array.isArray(schedule.ranges) ? schedule.ranges : [];
+  if (ranges.length === 0 || ranges.length > MAX_SCHEDULE_RANGES) {
+    return { error: `${name}: add 1 to ${MAX_SCHEDULE_RANGES} time ranges.` };
+  }
+  for (const range of ranges) {
+    if (!range || !isValidTime(range.start) || !isValidTime(range.end)) {
+      return { error: `${name}: times must be in HH:MM format.` };
+    }
+    if (range.start === range.end) {
+      return { error: `${name}: a time range must not start and end at the same time.` };
+    }
+  }
+
+  const exceptions = Array.isArray(schedule.exceptions) ? [...new Set(schedule.exceptions)] : [];
+  if (exceptions.length > MAX_SCHEDULE_EXCEPTIONS) {
+    return { error: `${name}: a schedule can skip up to ${MAX_SCHEDULE_EXCEPTIONS} dates.` };
+  }
+  if (!exceptions.every(isValidDate)) {
+    return { error: `${name}: exception dates must be in YYYY-MM-DD format.` };
+  }
+
+  const sites = Array.isArray(schedule.sites) ? schedule.sites : [];
+  if (sites.length > Math.min(limits.maxSites, MAX_BLOCKLIST_SIZE)) {
+    if (!proStatus) {
+      return { error: `Free plan allows up to ${limits.maxSites} sites per schedule. Upgrade to Pro for unlimited.`, limitReached: true };
+    }
+    return { error: `${name}: a schedule cannot exceed ${MAX_BLOCKLIST_SIZE} sites.` };
+  }
+  const { sanitized, error } = sanitizeSitePatterns(sites);
+  if (error) {
+    return { error: `${name}: ${error}` };
+  }
 
+  const prebuiltLists = Array.isArray(schedule.prebuiltLists) ? [...new Set(schedule.prebuiltLists)] : [];
+  if (!prebuiltLists.every(listId => ALLOWED_PREBUILT_LIST_IDS.includes(listId))) {
+    return { error: 'Invalid list ID.' };
+  }
+  if (prebuiltLists.length > limits.maxPrebuiltLists) {
+    return {
+      error: `Free plan allows ${limits.maxPrebuiltLists} prebuilt lists per schedule. Upgrade to Pro for unlimited.`,
+      limitReached: true
+    };
+  }
+
+  return {
+    schedule: {
+      id: typeof schedule.id === 'string' && schedule.id ? schedule.id.slice(0, 64) : crypto.randomUUID(),
+      name,
+      enabled: schedule.enabled === true,
+      days: [...new Set(schedule.days)],
+      ranges: ranges.map(range => ({ start: range.start, end: range.end })),
+      exceptions: exceptions.sort(),
+      nuclear: schedule.nuclear === true,
+      sites: sanitized,
+      prebuiltLists,
+      useBlocklist: schedule.useBlocklist === true
+    }
+  };
+}
+
+async function handleUpdateSchedules(schedules) {
+  if (!Array.isArray(schedules)) {
+    return { error: 'Invalid schedules format. Expected an array.' };
+  }
+
+  const proStatus = await isPro();
+  const limits = getProLimits(proStatus);
+  if (schedules.length > Math.min(limits.maxSchedules, MAX_SCHEDULES)) {
+    if (!proStatus) {
+      return { error: `Free plan allows ${limits.maxSchedules} schedule. Upgrade to Pro for unlimited schedules.`, limitReached: true };
+    }
+    return { error: `You can have up to ${MAX_SCHEDULES} schedules.` };
+  }
+
+  const sanitized = [];
+  for (const [index, schedule] of schedules.entries()) {
+    const result = sanitizeSchedule(schedule, index, proStatus);
+    if (result.error) {
+      return result;
+    }
+    if (sanitized.some(s => s.id === result.schedule.id)) {
+      result.schedule.id = crypto.randomUUID();
+    }
+    sanitized.push(result.schedule);
+  }
+
+  const regexError = await validateRegexRules({ schedules: sanitized });
+  if (regexError) {
+    return regexError;
+  }
+
+  const nuclearActive = await isNuclearActive();
+  const { settings } = await getStorage('settings');
+
+  // A running nuclear window locks the schedule that started it
+  const lockedId = nuclearActive && settings.nuclearMode.scheduleId;
+  if (lockedId) {
+    const before = getSchedules(settings).find(schedule => schedule.id === lockedId);
+    const after = sanitized.find(schedule => schedule.id === lockedId);
+    if (before && JSON.stringify(before) !== JSON.stringify(after)) {
+      return { error: `Cannot change "${before.name}" while its nuclear window is running.` };
+    }
+  }
+
+  settings.schedules = sanitized;
+  delete settings.schedule;
+  // DATA: Stores user-configured blocking schedules and their site lists.
+  // User-initiated. Not transmitted externally.
+  await setStorage({ settings });
+
+  // Immediately check if the schedules should activate or deactivate blocking
+  const ruleError = await checkSchedule();
+  await updateScheduledNuclearAlarm();
+  if (ruleError) {
+    return ruleError;
+  }
+
+  return { success: true, schedules: sanitized };
+}
+
+// ---------------------------------------------------------------------------
+// Settings Lock
+// ---------------------------------------------------------------------------
+
+function toHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function fromHex(hex) {
+  return new Uint8Array(hex.match(/../g).map(h => parseInt(h, 16)));
+}
+
+/**
+ * Hash a password or partner code with PBKDF2-SHA-256.
+ * @param {string} secret
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<string>} hex digest
+ */
+async function hashSecret(secret, salt, iterations) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+  return toHex(new Uint8Array(bits));
+}
+
+/**
+ * Partner codes are compared without case, spaces or dashes, so the code
+ * can be read out or typed however the partner wrote it down.
+ * @param {string} method
+ * @param {string} secret
+ * @returns {string}
+ */
+function normalizeSecret(method, secret) {
+  return method === 'partner' ? secret.toUpperCase().replace(/[\s-]/g, '') : secret;
+}
+
+function generatePartnerCode() {
+  // 256 is a multiple of the alphabet size, so every character is equally likely
+  const bytes = crypto.getRandomValues(new Uint8Array(PARTNER_CODE_LENGTH));
+  const code = Array.from(bytes, b => PARTNER_CODE_ALPHABET[b % PARTNER_CODE_ALPHABET.length]).join('');
+  return code.match(/.{4}/g).join('-');
+}
+
+/**
+ * Whether settings can be changed: there is no lock, or it was unlocked
+ * within the last few minutes.
+ * @returns {Promise<boolean>}
+ */
+async function isSettingsUnlocked() {
+  const { settingsLock } = await getStorage('settingsLock');
+  if (!settingsLock) return true;
+  const { settingsUnlock } = await chrome.storage.session.get('settingsUnlock');
+  return !!settingsUnlock && settingsUnlock.until > Date.now();
+}
+
+/**
+ * The lock as the UI sees it; the hash and salt stay in the service worker.
+ * @returns {Promise<{ enabled: boolean, method: string|null, unlockedUntil: number|null }>}
+ */
+async function getSettingsLockState() {
+  const { settingsLock } = await getStorage('settingsLock');
+  if (!settingsLock) return { enabled: false, method: null, unlockedUntil: null };
+  const { settingsUnlock } = await chrome.storage.session.get('settingsUnlock');
+  const unlockedUntil = settingsUnlock && settingsUnlock.until > Date.now() ? settingsUnlock.until : null;
+  return { enabled: true, method: settingsLock.method, unlockedUntil };
+}
+
+/**
+ * Turn on the settings lock, or change it while unlocked. A partner lock
+ * gets a generated code that is returned once, to hand to the partner.
+ * @param {'password'|'partner'} method
+ * @param {string} [password] — required for a password lock
+ */
+async function handleSetSettingsLock(method, password) {
+  let secret;
+  if (method === 'password') {
+    if (typeof password !== 'string' || password.length < MIN_LOCK_PASSWORD_LENGTH) {
+      return { error: `Password must be at least ${MIN_LOCK_PASSWORD_LENGTH} characters.` };
+    }
+    secret = password;
+  } else if (method === 'partner') {
+    secret = generatePartnerCode();
+  } else {
+    return { error: 'Invalid lock type.' };
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await hashSecret(normalizeSecret(method, secret), salt, LOCK_HASH_ITERATIONS);
+  // DATA: Stores the lock type and a salted hash of its password or code. User-initiated. Not transmitted externally.
+  await setStorage({ settingsLock: { method, salt: toHex(salt), hash, iterations: LOCK_HASH_ITERATIONS } });
+  // The new lock takes effect right away
+  await chrome.storage.session.remove('settingsUnlock');
+
+  const response = { success: true, settingsLock: await getSettingsLockState() };
+  if (method === 'partner') response.partnerCode = secret;
+  return response;
+}
+
+/**
+ * Open the settings lock for SETTINGS_UNLOCK_MINUTES.
+ * @param {string} secret — the password or partner code
+ */
+async function handleUnlockSettings(secret) {
+  const { settingsLock } = await getStorage('settingsLock');
+  if (!settingsLock) {
+    return { success: true, settingsLock: await getSettingsLockState() };
+  }
+  if (typeof secret !== 'string' || !secret) {
+    return { error: settingsLock.method === 'partner' ? 'Enter the partner code.' : 'Enter your password.' };
+  }
+
+  const now = Date.now();
+  const { settingsUnlock = {} } = await chrome.storage.session.get('settingsUnlock');
+  if (settingsUnlock.retryAt > now) {
+    return { error: `Too many wrong attempts. Try again in ${Math.ceil((settingsUnlock.retryAt - now) / 1000)}s.` };
+  }
+
+  const hash = await hashSecret(normalizeSecret(settingsLock.method, secret), fromHex(settingsLock.salt), settingsLock.iterations);
+  if (hash !== settingsLock.hash) {
+    const failures = (settingsUnlock.failures || 0) + 1;
+    // DATA: Stores recent wrong unlock attempts. Ephemeral. Not transmitted.
+    await chrome.storage.session.set({
+      settingsUnlock: failures >= MAX_UNLOCK_ATTEMPTS
+        ? { failures: 0, retryAt: now + UNLOCK_RETRY_MS }
+        : { failures }
+    });
+    return { error: settingsLock.method === 'partner' ? 'That code is not right.' : 'Wrong password.' };
+  }
+
+  // DATA: Stores until when settings are unlocked. Ephemeral. Not transmitted.
+  await chrome.storage.session.set({ settingsUnlock: { until: now + SETTINGS_UNLOCK_MINUTES * 60 * 1000 } });
+  return { success: true, settingsLock: await getSettingsLockState() };
+}
+
+/**
+ * Erase everything stored locally, then drop the blocking rules that were
+ * built from it. Goes through here, not the options page, so the settings
+ * lock covers it.
+ */
+async function handleDeleteAllData() {
+  if (await isNuclearActive()) {
+    return { error: 'Cannot delete data during nuclear mode.' };
+  }
+
+  // DATA: Clears all locally stored data. User-initiated. Not transmitted externally.
+  await chrome.storage.local.clear();
+  await chrome.storage.session.clear();
+  await reconcileBlockingRules();
   return { success: true };
 }
 
@@ -1037,23 +3627,85 @@ async function handleUpdateSchedule(schedule) {
 // ---------------------------------------------------------------------------
 
 async function onOverrideExpiry(domain) {
-  const timerState = await getTimerState();
-  const scheduleActive = await isScheduleActive();
-  const nuclearActive = await isNuclearActive();
+  const { overrides } = await getStorage('overrides');
+  delete overrides[domain];
+  await setStorage({ overrides });
+
+  const { overridesInUse = {} } = await chrome.storage.session.get('overridesInUse');
+  if (domain in overridesInUse) {
+    delete overridesInUse[domain];
+    await chrome.storage.session.set({ overridesInUse });
+  }
 
-  // Re-add blocking rules if a focus session, schedule, or nuclear mode is still active
-  if (nuclearActive || scheduleActive || (timerState && timerState.status === 'focus')) {
-    const domains = await getFullBlocklist();
-    await updateBlockingRules(domains);
+  await reconcileBlockingRules();
+}
+
+// Tab events arrive in bursts; check overrides one pass at a time
+let overrideTabsChain = Promise.resolve();
+
+function queueOverrideTabsCheck() {
+  overrideTabsChain = overrideTabsChain.then(checkOverrideTabs).catch(err => {
+    console.error('[SW] checkOverrideTabs failed:', err);
+  });
+  return overrideTabsChain;
+}
+
+/**
+ * End overrides early once no tab is on the domain any more. An override
+ * counts as in use from the first time a tab is seen on the domain, so the
+ * gap before the block page's tab navigates there doesn't end it.
+ */
+async function checkOverrideTabs() {
+  const { overrides } = await getStorage('overrides');
+  const now = Date.now();
+  const live = Object.keys(overrides).filter(domain => overrides[domain] > now);
+  if (live.length === 0) return;
+
+  const hostnames = [];
+  for (const tab of await chrome.tabs.query({})) {
+    try {
+      const url = new URL(tab.url || tab.pendingUrl || '');
+      if (/^https?:$/.test(url.protocol)) hostnames.push(url.hostname.replace(/^www\./, ''));
+    } catch (e) {
+      // Tabs without a parseable URL can't be on the domain
+    }
+  }
+
+  const { overridesInUse = {} } = await chrome.storage.session.get('overridesInUse');
+  const ended = [];
+  for (const domain of live) {
+    const open = hostnames.some(host => host === domain || host.endsWith('.' + domain));
+    if (open) {
+      overridesInUse[domain] = true;
+    } else if (overridesInUse[domain]) {
+      ended.push(domain);
+    }
+  }
+  // DATA: Stores which overrides have had a tab on their site. Ephemeral. Not transmitted.
+  await chrome.storage.session.set({ overridesInUse });
+
+  for (const domain of ended) {
+    await chrome.alarms.clear('override-' + domain);
+    await onOverrideExpiry(domain);
   }
 }
 
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.url) {
+    queueOverrideTabsCheck();
+  }
+});
+
+chrome.tabs.onRemoved.addListener(() => {
+  queueOverrideTabsCheck();
+});
+
 // ---------------------------------------------------------------------------
 // Churn Prevention: Streak Protection & Inactivity Re-engagement
 // ---------------------------------------------------------------------------
 
 async function checkChurnPrevention() {
-  const today = new Date().toISOString().split('T')[0];
+  const today = toDateKey(new Date());
   const now = new Date();
 
   const { streak, todayStats, lastStreakReminder, lastReengagementNotice } = await getStorage([
@@ -1148,12 +3800,21 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
         await onAlarmTick();
         break;
       case alarm.name === ALARM_SCHEDULE_CHECK:
+        // Also flushes budget time while the user stays on one tab
+        await trackBudgetTime();
         await checkSchedule();
         await checkChurnPrevention();
         break;
       case alarm.name === ALARM_NUCLEAR_END:
         await onNuclearEnd();
         break;
+      case alarm.name === ALARM_PAUSE_END:
+        await onPauseEnd();
+        break;
+      case alarm.name === ALARM_SCHEDULED_NUCLEAR:
+        await checkScheduledNuclear();
+        await updateScheduledNuclearAlarm();
+        break;
       case alarm.name === ALARM_WEEKLY_SUMMARY:
         await onWeeklySummary();
         break;
@@ -1170,6 +3831,23 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// Notification Buttons
+// ---------------------------------------------------------------------------
+
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  try {
+    if (notificationId === 'session-complete') {
+      const result = await extendSession(EXTEND_SESSION_MINUTES[buttonIndex]);
+      if (result.error) console.warn('[SW] Could not extend session:', result.error);
+      await chrome.notifications.clear(notificationId);
+    }
+  } catch (err) {
+    console.error('[SW] Notification button handler error:', err);
+    logError('service-worker', err, { handler: 'onButtonClicked', notificationId });
+  }
+});
+
 // ---------------------------------------------------------------------------
 // Install & Startup
 // ---------------------------------------------------------------------------
@@ -1191,11 +3869,21 @@ chrome.runtime.onInstalled.addListener(async (details) => {
     // Nothing is transmitted externally.
     await setStorage({
       blocklist: [],
+      allowlist: [],
+      whitelist: [],
+      siteOptions: {},
+      siteBudgets: {},
+      siteVisitLimits: {},
+      overrides: {},
+      overrideLog: [],
+      overrideCooldowns: {},
+      ruleIds: {},
+      nextRuleId: 1,
       activePrebuiltLists: [],
       timerState: null,
       sessionHistory: [],
       todayStats: {
-        date: new Date().toISOString().split('T')[0],
+        date: toDateKey(new Date()),
         focusMinutes: 0,
         sessionsCompleted: 0,
         totalAttempts: 0,
@@ -1209,7 +3897,7 @@ chrome.runtime.onInstalled.addListener(async (details) => {
         selectedSound: 'rain',
         volume: 70,
         notificationMuting: true,
-        schedule: null,
+        schedules: [],
         nuclearMode: null
       },
       isPro: false,
@@ -1248,21 +3936,16 @@ async function restoreState() {
     if (nuclearActive) {
       const { settings } = await getStorage('settings');
       const remainingMs = settings.nuclearMode.endsAt - Date.now();
-      if (remainingMs > 0) {
-        const domains = await getFullBlocklist();
-        await updateBlockingRules(domains);
-        await setSessionFlag(true);
-        await updateBadge('nuclear');
-        await chrome.alarms.create(ALARM_NUCLEAR_END, { delayInMinutes: remainingMs / 60000 });
-      } else {
-        await onNuclearEnd();
-      }
-      return;
-    }
-
-    if (timerState && timerState.startedAt && timerState.status !== 'idle') {
-      const elapsed = Math.floor((Date.now() - timerState.startedAt) / 1000);
-      const remaining = timerState.duration - elapsed;
+      await updateBadge('nuclear');
+      await chrome.alarms.create(ALARM_NUCLEAR_END, { delayInMinutes: remainingMs / 60000 });
+    } else if (timerState && timerState.pausedAt && Date.now() < timerState.pausedAt + MAX_PAUSE_MINUTES * 60 * 1000) {
+      // Still paused: the badge stays frozen and the pause ends on time
+      await updateBadge('paused', getBadgeMinutes(timerState));
+      await chrome.alarms.create(ALARM_PAUSE_END, { when: timerState.pausedAt + MAX_PAUSE_MINUTES * 60 * 1000 });
+    } else if (timerState && timerState.startedAt && timerState.status !== 'idle') {
+      // A pause that ran out while the browser was closed ended on time
+      if (timerState.pausedAt) endPause(timerState);
+      const remaining = getTimerRemaining(timerState);
 
       if (remaining <= 0) {
         if (timerState.status === 'focus') {
@@ -1275,20 +3958,23 @@ async function restoreState() {
         await setTimerState(timerState);
 
         if (timerState.status === 'focus') {
-          const domains = await getFullBlocklist();
-          await updateBlockingRules(domains);
-          await setSessionFlag(true);
-          await updateBadge('focus', Math.ceil(remaining / 60));
+          await updateBadge('focus', getBadgeMinutes(timerState));
         } else {
           await updateBadge('break');
         }
 
         await chrome.alarms.create(ALARM_TICK, { periodInMinutes: 1 });
       }
-    } else {
-      // No active timer; checkSchedule will set the session flag appropriately
-      await checkSchedule();
     }
+
+    // A nuclear window may have opened while the browser was closed
+    await checkScheduledNuclear();
+    await updateScheduledNuclearAlarm();
+
+    // Single reconciliation of both rule scopes: session rules are gone after
+    // a browser restart, and dynamic rules may be stale if nuclear mode or
+    // the schedule window ended while the browser was closed
+    await reconcileBlockingRules();
   } catch (err) {
     console.error('[SW] restoreState failed:', err);
     logError('service-worker', err, { handler: 'restoreState' });
@@ -1304,10 +3990,17 @@ chrome.commands.onCommand.addListener(async (command) => {
     switch (command) {
       case 'quick-focus': {
         const timerState = await getTimerState();
-        if (timerState && (timerState.status === 'focus' || timerState.status === 'break' || timerState.status === 'longbreak')) {
-          await stopSession();
+        // Ending a session goes through handleMessage so the settings lock applies
+        let result = null;
+        if (timerState && timerState.status === 'focus' && timerState.flowtime) {
+          result = await handleMessage({ type: 'FINISH_SESSION' }, null);
+        } else if (timerState && (timerState.status === 'focus' || timerState.status === 'break' || timerState.status === 'longbreak')) {
+          result = await handleMessage({ type: 'STOP_SESSION' }, null);
         } else {
-          await startFocusSession(DEFAULTS_TIMER.focusDuration);
+          await startFocusSession();
+        }
+        if (result && result.error) {
+          console.warn('[SW] quick-focus shortcut refused:', result.error);
         }
         break;
       }
@@ -7,26 +7,49 @@
 
 // --- DOM References ---
 const domainNameEl = document.getElementById('domain-name');
+const domainReasonEl = document.getElementById('domain-reason');
 const timerSection = document.getElementById('timer-section');
 const timerDisplay = document.getElementById('timer-display');
+const timerLabel = document.querySelector('.timer-label');
 const streakCountEl = document.getElementById('streak-count');
 const savedTimeEl = document.getElementById('saved-time');
 const blockedCountEl = document.getElementById('blocked-count');
 const attemptMessage = document.getElementById('attempt-message');
 const attemptCountEl = document.getElementById('attempt-count');
 const attemptDomainEl = document.getElementById('attempt-domain');
+const budgetMessage = document.getElementById('budget-message');
+const visitMessage = document.getElementById('visit-message');
+const overrideNoteEl = document.getElementById('override-note');
 const quoteTextEl = document.getElementById('quote-text');
 const returnBtn = document.getElementById('return-btn');
 const overrideBtn = document.getElementById('override-btn');
 
 // --- State ---
 let timerInterval = null;
+let waitInterval = null;
+let holdInterval = null;
 let currentDomain = '';
+// Override terms from the service worker: wait and intention requirements
+let overrideTerms = null;
+
+// Override lengths the service worker accepts, in minutes
+const OVERRIDE_MINUTES = [1, 5, 15];
+const DEFAULT_OVERRIDE_MINUTES = 5;
+
+// How long the hold challenge lasts; the service worker times it
+const CHALLENGE_HOLD_SECONDS = 60;
 
 // --- URL Params ---
-const params = new URLSearchParams(window.location.search);
-const domain = params.get('domain') || '';
+// Keyword, regex and path rules redirect with "?url=" followed by the raw
+// original URL (DNR cannot encode it), so its own query must not be read as
+// params. The detector fallback passes it encoded, as a "url" param.
+const rawBlockedUrl = window.location.search.startsWith('?url=') ? window.location.search.slice(5) : '';
+const params = new URLSearchParams(rawBlockedUrl ? '' : window.location.search);
+const blockedUrl = rawBlockedUrl || params.get('url') || '';
+const domain = params.get('domain') || hostFromUrl(blockedUrl);
 const attemptParam = params.get('attempt') || '';
+// "whitelist" when the page was blocked for being outside the work sites
+const isWhitelistBlock = params.get('mode') === 'whitelist';
 
 // --- Initialize ---
 init();
@@ -59,6 +82,12 @@ async function init() {
     attemptDomainEl.textContent = domain;
   }
 
+  // Whitelist mode blocks everything that isn't a work site, so the site
+  // is not necessarily a distraction
+  if (isWhitelistBlock) {
+    domainReasonEl.textContent = 'is outside your work sites for this session';
+  }
+
   // Show attempt count if available from URL param
   if (attemptParam && parseInt(attemptParam, 10) > 0) {
     attemptCountEl.textContent = `#${attemptParam}`;
@@ -67,12 +96,14 @@ async function init() {
 
   // Record the distraction first, then fetch block info so stats are fresh
   await sendMessage({ type: 'RECORD_DISTRACTION', domain });
-  const blockInfo = await sendMessage({ type: 'GET_BLOCK_INFO', domain });
+  const blockInfo = await sendMessage({ type: 'GET_BLOCK_INFO', domain, url: blockedUrl || undefined });
 
   if (blockInfo) {
     populateStats(blockInfo);
     populateTimer(blockInfo.timerState);
-    populateOverride(blockInfo.settings);
+    populateBudget(blockInfo.budget);
+    populateVisitLimit(blockInfo.visitLimit);
+    populateOverride(blockInfo.override);
     populateQuote(blockInfo.quote);
 
     // Nuclear mode visual indicator
@@ -91,6 +122,19 @@ async function init() {
   setupActions();
 }
 
+/**
+ * Get the hostname (without www.) of a URL, or '' if it can't be parsed.
+ * @param {string} url
+ * @returns {string}
+ */
+function hostFromUrl(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return '';
+  }
+}
+
 // --- Data Population ---
 
 function populateStats(info) {
@@ -134,6 +178,12 @@ function populateTimer(timerState) {
 
   timerSection.hidden = false;
 
+  // A Flowtime session counts up; a paused session's timer stays frozen
+  if (timerLabel) {
+    const label = timerState.flowtime ? 'focused so far' : 'remaining';
+    timerLabel.textContent = timerState.pausedAt ? `${label} (paused)` : label;
+  }
+
   // Calculate remaining time based on when the timer started
   updateTimerDisplay(timerState);
 
@@ -147,8 +197,10 @@ function updateTimerDisplay(timerState) {
   let remaining;
 
   if (timerState.startedAt && timerState.duration) {
-    // Calculate remaining from startedAt + duration
-    const elapsed = Math.floor((Date.now() - timerState.startedAt) / 1000);
+    // Calculate remaining from startedAt + duration, leaving out paused time
+    const now = Date.now();
+    const pausedMs = (timerState.pausedMs || 0) + (timerState.pausedAt ? now - timerState.pausedAt : 0);
+    const elapsed = Math.floor((now - timerState.startedAt - pausedMs) / 1000);
     remaining = Math.max(0, timerState.duration - elapsed);
   } else {
     // Use the remaining value directly
@@ -164,30 +216,76 @@ function updateTimerDisplay(timerState) {
     return;
   }
 
-  const minutes = Math.floor(remaining / 60);
-  const seconds = remaining % 60;
+  // Flowtime shows the time focused instead of the time left
+  const shown = timerState.flowtime ? timerState.duration - remaining : remaining;
+  const minutes = Math.floor(shown / 60);
+  const seconds = shown % 60;
   timerDisplay.textContent = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
 }
 
-function populateOverride(settings) {
-  if (!settings) {
+function populateBudget(budget) {
+  if (!budget) return;
+
+  if (budget.exhausted) {
+    domainReasonEl.textContent = 'has used up its time budget for today';
+    budgetMessage.textContent = `You've used all ${budget.minutes} min of today's budget for ${domain}. It resets at midnight.`;
+  } else {
+    budgetMessage.textContent = `${budget.remainingMinutes} of ${budget.minutes} min left in today's budget for ${domain}.`;
+  }
+  budgetMessage.hidden = false;
+}
+
+function populateVisitLimit(visitLimit) {
+  if (!visitLimit || !visitLimit.exhausted) return;
+
+  domainReasonEl.textContent = 'has used up its visits for today';
+  visitMessage.textContent = `This is visit ${visitLimit.used} of ${visitLimit.visits} allowed today for ${domain}. It resets at midnight.`;
+  visitMessage.hidden = false;
+}
+
+function populateOverride(override) {
+  // Whitelist mode has no per-site override; sites are added as work sites
+  if (isWhitelistBlock) {
+    overrideBtn.hidden = true;
+    return;
+  }
+
+  if (!override) {
     // Default: show override
     overrideBtn.hidden = false;
     return;
   }
 
-  const nuclear = settings.nuclearMode;
-  if (nuclear && nuclear.active) {
-    // Check if nuclear mode hasn't expired
-    if (!nuclear.endsAt || Date.now() < nuclear.endsAt) {
-      overrideBtn.hidden = true;
-      return;
+  // The service worker decides (nuclear mode, used-up limits, override
+  // quota and cooldowns); only the policy reasons aren't shown elsewhere
+  if (!override.available) {
+    overrideBtn.hidden = true;
+    if (override.code === 'quota' || override.code === 'cooldown') {
+      overrideNoteEl.textContent = override.reason;
+      overrideNoteEl.hidden = false;
     }
+    return;
   }
 
+  overrideTerms = override;
+  if (override.requiresIntention) {
+    overrideBtn.textContent = `Continue after a ${formatWait(override.waitSeconds)} pause`;
+  } else if (override.waitSeconds) {
+    overrideBtn.textContent = `Continue after a ${formatWait(override.waitSeconds)} wait`;
+  }
   overrideBtn.hidden = false;
 }
 
+/**
+ * Format a wait as e.g. "30-second" or "2-minute".
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatWait(seconds) {
+  if (seconds < 60 || seconds % 60 !== 0) return `${seconds}-second`;
+  return `${seconds / 60}-minute`;
+}
+
 function populateQuote(quote) {
   if (quote) {
     quoteTextEl.textContent = `"${quote}"`;
@@ -217,7 +315,13 @@ function setupActions() {
   returnBtn.addEventListener('click', handleReturn);
 
   // Override
-  overrideBtn.addEventListener('click', handleOverrideClick);
+  overrideBtn.addEventListener('click', () => {
+    if (overrideTerms && (overrideTerms.waitSeconds || overrideTerms.requiresIntention)) {
+      handleWaitClick();
+    } else {
+      handleOverrideClick();
+    }
+  });
 }
 
 function handleReturn() {
@@ -238,14 +342,337 @@ function handleReturn() {
 
 function handleOverrideClick() {
   // Replace the override button with a confirmation dialog
-  const confirmEl = document.createElement('div');
-  confirmEl.className = 'override-confirm';
-  confirmEl.setAttribute('role', 'alertdialog');
-  confirmEl.setAttribute('aria-label', 'Override confirmation');
+  const { confirmEl, actionsEl, cancelBtn, yesBtn } = createOverrideDialog('Override confirmation', stopHold);
 
   // Build confirmation UI with safe DOM APIs instead of innerHTML
   const confirmMsg = document.createElement('p');
   confirmMsg.textContent = 'Are you sure? This will be recorded and may affect your Focus Score.';
+  confirmEl.insertBefore(confirmMsg, actionsEl);
+  const challenge = overrideTerms && overrideTerms.challenge
+    ? createChallenge(overrideTerms.challenge, confirmEl, actionsEl, (ready) => { yesBtn.disabled = !ready; })
+    : null;
+  const durationSelect = createDurationPicker(confirmEl, actionsEl);
+
+  yesBtn.addEventListener('click', async () => {
+    // Notify background about the override; the override policy may refuse it
+    const response = await sendMessage({
+      type: 'OVERRIDE_BLOCK',
+      domain: currentDomain,
+      url: blockedUrl || undefined,
+      minutes: Number(durationSelect.value),
+      challenge: challenge ? challenge.proof() : undefined
+    });
+    if (response && response.error) {
+      confirmMsg.textContent = response.error;
+      if (challenge) challenge.restart();
+      return;
+    }
+
+    continueToSite();
+  });
+
+  // Focus the cancel button for accessibility
+  cancelBtn.focus();
+}
+
+function handleWaitClick() {
+  // A countdown, and for speed bumps a stated intention, stand in for the
+  // plain confirmation. The service worker starts the wait and checks it.
+  const requiresIntention = overrideTerms.requiresIntention;
+  const { confirmEl, actionsEl, cancelBtn, yesBtn } = createOverrideDialog(requiresIntention ? 'Speed bump' : 'Override wait', () => {
+    clearInterval(waitInterval);
+    waitInterval = null;
+    stopHold();
+  });
+
+  let intentionInput = null;
+  if (requiresIntention) {
+    const promptLabel = document.createElement('label');
+    promptLabel.className = 'speed-bump-label';
+    promptLabel.htmlFor = 'speed-bump-intention';
+    promptLabel.textContent = `Why are you opening ${currentDomain}?`;
+
+    intentionInput = document.createElement('textarea');
+    intentionInput.id = 'speed-bump-intention';
+    intentionInput.className = 'speed-bump-intention';
+    intentionInput.rows = 2;
+    intentionInput.maxLength = 200;
+    intentionInput.placeholder = 'e.g. Reply to the message from my manager';
+
+    confirmEl.insertBefore(promptLabel, actionsEl);
+    confirmEl.insertBefore(intentionInput, actionsEl);
+  }
+
+  let ready = false;
+  let challengeReady = !overrideTerms.challenge;
+  const challenge = overrideTerms.challenge
+    ? createChallenge(overrideTerms.challenge, confirmEl, actionsEl, (isReady) => {
+      challengeReady = isReady;
+      updateYes();
+    })
+    : null;
+
+  const durationSelect = createDurationPicker(confirmEl, actionsEl);
+
+  const countdownEl = document.createElement('p');
+  countdownEl.setAttribute('aria-live', 'polite');
+  confirmEl.insertBefore(countdownEl, actionsEl);
+
+  yesBtn.disabled = true;
+  function updateYes() {
+    yesBtn.disabled = !ready || !challengeReady || (intentionInput !== null && !intentionInput.value.trim());
+  }
+  if (intentionInput) intentionInput.addEventListener('input', updateYes);
+
+  sendMessage({ type: 'START_OVERRIDE_WAIT', domain: currentDomain, url: blockedUrl || undefined }).then((response) => {
+    if (!response || response.error) {
+      countdownEl.textContent = response?.error || 'Could not start the countdown.';
+      return;
+    }
+
+    const tick = () => {
+      const left = Math.max(0, Math.ceil((response.readyAt - Date.now()) / 1000));
+      if (left > 0) {
+        countdownEl.textContent = `Take a breath. You can continue in ${left}s.`;
+        return;
+      }
+      countdownEl.textContent = 'You can continue now.';
+      ready = true;
+      updateYes();
+      clearInterval(waitInterval);
+      waitInterval = null;
+    };
+    tick();
+    if (!ready) waitInterval = setInterval(tick, 1000);
+  });
+
+  yesBtn.addEventListener('click', async () => {
+    const response = await sendMessage({
+      type: 'OVERRIDE_BLOCK',
+      domain: currentDomain,
+      url: blockedUrl || undefined,
+      intention: intentionInput ? intentionInput.value : undefined,
+      minutes: Number(durationSelect.value),
+      challenge: challenge ? challenge.proof() : undefined
+    });
+    if (!response || response.error) {
+      countdownEl.textContent = response?.error || 'Could not continue to the site.';
+      if (challenge) challenge.restart();
+      return;
+    }
+    continueToSite();
+  });
+
+  (intentionInput || cancelBtn).focus();
+}
+
+/**
+ * Go on to the page that was blocked, once an override is granted. Rules
+ * that only pass the domain lead to the site's home page instead.
+ */
+function continueToSite() {
+  window.location.href = /^https?:\/\//i.test(blockedUrl) ? blockedUrl : `https://${currentDomain}`;
+}
+
+/**
+ * Add an unlock challenge to a dialog, above its buttons. The service worker
+ * issues the challenge and checks the answer sent with OVERRIDE_BLOCK; the
+ * page only tracks whether it looks complete enough to submit.
+ * @param {'typing'|'math'|'hold'} type
+ * @param {HTMLElement} confirmEl
+ * @param {HTMLElement} actionsEl
+ * @param {(ready: boolean) => void} onReadyChange
+ * @returns {{ proof: () => { token: string, answer?: * }, restart: () => void }}
+ */
+function createChallenge(type, confirmEl, actionsEl, onReadyChange) {
+  const container = document.createElement('div');
+  container.className = 'challenge';
+  confirmEl.insertBefore(container, actionsEl);
+
+  let issued = null;
+  let getAnswer = () => undefined;
+
+  function render(response) {
+    container.replaceChildren();
+    issued = response;
+
+    if (!response || response.error) {
+      const errorEl = document.createElement('p');
+      errorEl.textContent = response?.error || 'Could not load the unlock challenge.';
+      container.appendChild(errorEl);
+      onReadyChange(false);
+      return;
+    }
+
+    if (type === 'typing') {
+      const label = document.createElement('label');
+      label.className = 'speed-bump-label';
+      label.htmlFor = 'challenge-typing';
+      label.textContent = 'Type this paragraph to continue:';
+
+      const paragraphEl = document.createElement('p');
+      paragraphEl.className = 'challenge__paragraph';
+      paragraphEl.textContent = response.paragraph;
+
+      const input = document.createElement('textarea');
+      input.id = 'challenge-typing';
+      input.className = 'speed-bump-intention';
+      input.rows = 4;
+      input.autocomplete = 'off';
+      input.spellcheck = false;
+      // Retyping is the point, so pasting doesn't count
+      input.addEventListener('paste', (e) => e.preventDefault());
+      input.addEventListener('drop', (e) => e.preventDefault());
+      const normalize = text => text.trim().replace(/\s+/g, ' ');
+      input.addEventListener('input', () => onReadyChange(normalize(input.value) === response.paragraph));
+
+      container.append(label, paragraphEl, input);
+      getAnswer = () => input.value;
+    } else if (type === 'math') {
+      const label = document.createElement('p');
+      label.className = 'speed-bump-label';
+      label.textContent = 'Solve these to continue:';
+      container.appendChild(label);
+
+      const inputs = response.problems.map((problem, i) => {
+        const row = document.createElement('label');
+        row.className = 'challenge__problem';
+        row.textContent = `${problem} =`;
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.inputMode = 'numeric';
+        input.setAttribute('aria-label', `Answer to problem ${i + 1}`);
+        row.appendChild(input);
+        container.appendChild(row);
+        return input;
+      });
+      const update = () => onReadyChange(inputs.every(input => input.value.trim() !== ''));
+      inputs.forEach(input => input.addEventListener('input', update));
+      getAnswer = () => inputs.map(input => Number(input.value));
+    } else {
+      const holdBtn = document.createElement('button');
+      holdBtn.type = 'button';
+      holdBtn.className = 'challenge__hold';
+      holdBtn.textContent = `Hold for ${response.seconds} seconds`;
+
+      const progressEl = document.createElement('p');
+      progressEl.setAttribute('aria-live', 'polite');
+      container.append(holdBtn, progressEl);
+
+      // Each press asks for a fresh challenge; letting go early throws it away
+      let held = false;
+      const press = async (e) => {
+        if (e.type === 'keydown' && e.key !== ' ' && e.key !== 'Enter') return;
+        e.preventDefault();
+        if (held || e.repeat) return;
+        held = true;
+        const started = await sendMessage({ type: 'START_CHALLENGE', domain: currentDomain, url: blockedUrl || undefined });
+        if (!held) return;
+        if (!started || started.error) {
+          held = false;
+          progressEl.textContent = started?.error || 'Could not start the challenge.';
+          return;
+        }
+        issued = started;
+        const tick = () => {
+          const left = Math.max(0, Math.ceil((started.readyAt - Date.now()) / 1000));
+          if (left > 0) {
+            progressEl.textContent = `Keep holding: ${left}s`;
+            return;
+          }
+          stopHold();
+          held = false;
+          progressEl.textContent = 'Done. You can continue now.';
+          holdBtn.disabled = true;
+          onReadyChange(true);
+        };
+        holdInterval = setInterval(tick, 250);
+        tick();
+      };
+      const release = () => {
+        if (!held) return;
+        held = false;
+        stopHold();
+        progressEl.textContent = 'Let go too early. Press and hold again.';
+      };
+      holdBtn.addEventListener('pointerdown', press);
+      holdBtn.addEventListener('keydown', press);
+      holdBtn.addEventListener('pointerup', release);
+      holdBtn.addEventListener('pointerleave', release);
+      holdBtn.addEventListener('keyup', release);
+      holdBtn.addEventListener('blur', release);
+    }
+
+    onReadyChange(false);
+  }
+
+  async function start() {
+    onReadyChange(false);
+    if (type === 'hold') {
+      // Issued on press, not up front
+      render({ seconds: CHALLENGE_HOLD_SECONDS });
+      return;
+    }
+    render(await sendMessage({ type: 'START_CHALLENGE', domain: currentDomain, url: blockedUrl || undefined }));
+  }
+
+  start();
+
+  return {
+    proof: () => ({ token: issued && issued.token, answer: getAnswer() }),
+    restart: start
+  };
+}
+
+function stopHold() {
+  clearInterval(holdInterval);
+  holdInterval = null;
+}
+
+/**
+ * Add an override length picker to a dialog, above its buttons. The override
+ * also ends early once the site's last tab is closed or navigates away.
+ * @param {HTMLElement} confirmEl
+ * @param {HTMLElement} actionsEl
+ * @returns {HTMLSelectElement}
+ */
+function createDurationPicker(confirmEl, actionsEl) {
+  const row = document.createElement('div');
+  row.className = 'override-duration';
+
+  const label = document.createElement('label');
+  label.htmlFor = 'override-duration';
+  label.textContent = 'Unblock for';
+
+  const select = document.createElement('select');
+  select.id = 'override-duration';
+  for (const minutes of OVERRIDE_MINUTES) {
+    const option = document.createElement('option');
+    option.value = String(minutes);
+    option.textContent = minutes === 1 ? '1 minute' : `${minutes} minutes`;
+    option.selected = minutes === DEFAULT_OVERRIDE_MINUTES;
+    select.appendChild(option);
+  }
+
+  row.appendChild(label);
+  row.appendChild(select);
+  confirmEl.insertBefore(row, actionsEl);
+  return select;
+}
+
+/**
+ * Replace the override button with a dialog holding Cancel and "Continue to
+ * site" buttons. Cancel and Escape close it; Tab stays inside it.
+ * @param {string} label — accessible name of the dialog
+ * @param {() => void} [onClose]
+ * @returns {{ confirmEl: HTMLElement, actionsEl: HTMLElement, cancelBtn: HTMLButtonElement, yesBtn: HTMLButtonElement }}
+ */
+function createOverrideDialog(label, onClose) {
+  const confirmEl = document.createElement('div');
+  confirmEl.className = 'override-confirm';
+  confirmEl.setAttribute('role', 'alertdialog');
+  confirmEl.setAttribute('aria-label', label);
 
   const confirmActions = document.createElement('div');
   confirmActions.className = 'override-confirm-actions';
@@ -262,32 +689,25 @@ function handleOverrideClick() {
 
   confirmActions.appendChild(cancelBtn);
   confirmActions.appendChild(yesBtn);
-  confirmEl.appendChild(confirmMsg);
   confirmEl.appendChild(confirmActions);
 
   overrideBtn.hidden = true;
   overrideBtn.parentElement.appendChild(confirmEl);
 
-  cancelBtn.addEventListener('click', () => {
+  function close() {
     confirmEl.removeEventListener('keydown', trapFocus);
     confirmEl.remove();
+    if (onClose) onClose();
     overrideBtn.hidden = false;
     overrideBtn.focus();
-  });
-
-  yesBtn.addEventListener('click', async () => {
-    // Notify background about the override
-    await sendMessage({ type: 'OVERRIDE_BLOCK', domain: currentDomain });
+  }
 
-    // Navigate to the site
-    const targetUrl = `https://${currentDomain}`;
-    window.location.href = targetUrl;
-  });
+  cancelBtn.addEventListener('click', close);
 
   // Focus trap: Tab key cycles only within the confirmation dialog
   function trapFocus(e) {
     if (e.key !== 'Tab') return;
-    const focusable = confirmEl.querySelectorAll('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])');
+    const focusable = confirmEl.querySelectorAll('button:not([disabled]), [href], input, select, textarea, [tabindex]:not([tabindex="-1"])');
     const first = focusable[0];
     const last = focusable[focusable.length - 1];
     if (e.shiftKey) {
@@ -307,15 +727,11 @@ function handleOverrideClick() {
   // Escape key dismisses the confirmation dialog
   confirmEl.addEventListener('keydown', (e) => {
     if (e.key === 'Escape') {
-      confirmEl.removeEventListener('keydown', trapFocus);
-      confirmEl.remove();
-      overrideBtn.hidden = false;
-      overrideBtn.focus();
+      close();
     }
   });
 
-  // Focus the cancel button for accessibility
-  cancelBtn.focus();
+  return { confirmEl, actionsEl: confirmActions, cancelBtn, yesBtn };
 }
 
 // --- Messaging ---
@@ -343,4 +759,7 @@ window.addEventListener('beforeunload', () => {
   if (timerInterval) {
     clearInterval(timerInterval);
   }
+  if (waitInterval) {
+    clearInterval(waitInterval);
+  }
 });
@@ -19,6 +19,9 @@
 // when a focus session, nuclear mode, or scheduled blocking is active.
 // chrome.storage.session is fast, synchronous-like, and does not wake the
 // service worker.
+//
+// When a session is active it also watches for iframes whose embeds are
+// blocked (per-entry option) and replaces them with a placeholder card.
 (() => {
   // Skip non-blockable pages
   const p = location.protocol;
@@ -56,6 +59,7 @@
 
       // Active session detected — ask service worker for authoritative check
       sendCheckBlocked(domain, hostname);
+      watchEmbeds();
     });
   } catch (e) {
     // chrome.storage.session not available (Chrome < 102) — fall back to
@@ -63,6 +67,47 @@
     sendCheckBlocked(domain, hostname);
   }
 
+  // Entries can also block embedded frames via DNR, which leaves an error
+  // page inside the iframe. Swap those iframes for a small placeholder card.
+  function watchEmbeds() {
+    const seen = new WeakSet();
+    let timer = null;
+
+    const scan = () => {
+      timer = null;
+      const frames = [...document.querySelectorAll('iframe[src]')].filter(f => !seen.has(f));
+      if (!frames.length) return;
+      frames.forEach(f => seen.add(f));
+      try {
+        chrome.runtime.sendMessage(
+          { type: 'CHECK_EMBEDS', payload: { urls: frames.map(f => f.src) } },
+          (response) => {
+            if (chrome.runtime.lastError || !response || !response.blocked) return;
+            frames.forEach((f, i) => { if (response.blocked[i]) replaceFrame(f); });
+          }
+        );
+      } catch (e) {
+        // Extension context invalidated — do nothing
+      }
+    };
+
+    // Debounced so busy pages don't trigger a scan per DOM mutation
+    new MutationObserver(() => {
+      if (!timer) timer = setTimeout(scan, 300);
+    }).observe(document.documentElement, { childList: true, subtree: true });
+  }
+
+  function replaceFrame(frame) {
+    const card = document.createElement('div');
+    card.textContent = 'Embedded content blocked during your focus session';
+    card.style.cssText = 'display:flex;align-items:center;justify-content:center;box-sizing:border-box;' +
+      'padding:16px;border:1px dashed #6366f1;border-radius:8px;background:#eef2ff;color:#4338ca;' +
+      'font:14px system-ui,sans-serif;text-align:center;';
+    card.style.width = (frame.offsetWidth || 300) + 'px';
+    card.style.height = Math.min(frame.offsetHeight || 150, 150) + 'px';
+    frame.replaceWith(card);
+  }
+
   function sendCheckBlocked(domain, hostname) {
     try {
       chrome.runtime.sendMessage(
@@ -74,9 +119,21 @@
           if (chrome.runtime.lastError) return;
           if (!response || !response.blocked) return;
 
-          // Domain is blocked — redirect to block page
+          // Entries with a productive-site redirect go there, as in DNR
+          if (response.redirectUrl) {
+            window.stop();
+            location.replace(response.redirectUrl);
+            return;
+          }
+
+          // URL is blocked — redirect to block page. The service worker
+          // matches the full URL (path and wildcard entries) and returns
+          // the entry's host so the block page matches the DNR redirect.
+          // The original URL goes along, as DNR's \0 substitution passes it.
           const blockPageUrl = chrome.runtime.getURL(
-            'src/blocked/blocked.html?domain=' + encodeURIComponent(domain)
+            'src/blocked/blocked.html?domain=' + encodeURIComponent(response.domain || domain) +
+            (response.reason === 'whitelist' ? '&mode=whitelist' : '') +
+            '&url=' + encodeURIComponent(location.href)
           );
 
           // Stop loading the current page
@@ -4,9 +4,10 @@
  * with the service worker for nuclear mode and schedule changes.
  */
 
-import { getStorage, setStorage } from '../shared/storage.js';
+import { getStorage, setStorage, getFullBlocklist, getSchedules } from '../shared/storage.js';
 import { getErrorLog } from '../shared/error-logger.js';
-import { isPro } from '../shared/pro.js';
+import { isPro, getProLimits } from '../shared/pro.js';
+import { parseEntry, parseEntries, parseRedirectTarget, isRedirectLoop } from '../shared/rules.js';
 
 // ---------------------------------------------------------------------------
 // DOM References
@@ -30,18 +31,101 @@ const els = {
   // Notifications
   mutingToggle: $('#mutingToggle'),
 
-  // Schedule
-  scheduleToggle: $('#scheduleToggle'),
-  scheduleOptions: $('#scheduleOptions'),
+  // Allowlist
+  allowlistInput: $('#allowlistInput'),
+  allowlistAddBtn: $('#allowlistAddBtn'),
+  allowlistList: $('#allowlistList'),
+  allowlistEmpty: $('#allowlistEmpty'),
+
+  // Work sites (whitelist mode)
+  whitelistInput: $('#whitelistInput'),
+  whitelistAddBtn: $('#whitelistAddBtn'),
+  whitelistList: $('#whitelistList'),
+  whitelistEmpty: $('#whitelistEmpty'),
+
+  // Redirects
+  redirectSiteSelect: $('#redirectSiteSelect'),
+  redirectTargetInput: $('#redirectTargetInput'),
+  redirectAddBtn: $('#redirectAddBtn'),
+  redirectList: $('#redirectList'),
+  redirectEmpty: $('#redirectEmpty'),
+
+  // Override policy
+  overrideMaxSelect: $('#overrideMaxSelect'),
+  overrideCooldownSelect: $('#overrideCooldownSelect'),
+  overrideEscalateToggle: $('#overrideEscalateToggle'),
+  overrideChallengeSelect: $('#overrideChallengeSelect'),
+
+  // Site unlock challenges
+  challengeSiteSelect: $('#challengeSiteSelect'),
+  challengeTypeSelect: $('#challengeTypeSelect'),
+  challengeAddBtn: $('#challengeAddBtn'),
+  challengeList: $('#challengeList'),
+  challengeEmpty: $('#challengeEmpty'),
+
+  // Override log
+  overrideLogEmpty: $('#overrideLogEmpty'),
+  overrideLogList: $('#overrideLogList'),
+  overrideLogClear: $('#overrideLogClear'),
+
+  // Incognito
+  incognitoStatus: $('#incognitoStatus'),
+  incognitoWarning: $('#incognitoWarning'),
+  incognitoSettingsBtn: $('#incognitoSettingsBtn'),
+  incognitoBlockToggle: $('#incognitoBlockToggle'),
+
+  // Settings lock
+  lockSetup: $('#lockSetup'),
+  lockMethodRadios: $$('input[name="lockMethod"]'),
+  lockPasswordRow: $('#lockPasswordRow'),
+  lockPasswordInput: $('#lockPasswordInput'),
+  lockPasswordConfirm: $('#lockPasswordConfirm'),
+  lockPartnerDesc: $('#lockPartnerDesc'),
+  lockEnableBtn: $('#lockEnableBtn'),
+  lockCodeReveal: $('#lockCodeReveal'),
+  lockCodeValue: $('#lockCodeValue'),
+  lockCodeDoneBtn: $('#lockCodeDoneBtn'),
+  lockActive: $('#lockActive'),
+  lockStatus: $('#lockStatus'),
+  lockUnlockRow: $('#lockUnlockRow'),
+  lockUnlockInput: $('#lockUnlockInput'),
+  lockUnlockBtn: $('#lockUnlockBtn'),
+  lockOpenActions: $('#lockOpenActions'),
+  lockNowBtn: $('#lockNowBtn'),
+  lockRemoveBtn: $('#lockRemoveBtn'),
+
+  // Focus timer
+  timerFocusInput: $('#timerFocusInput'),
+  timerShortBreakInput: $('#timerShortBreakInput'),
+  timerLongBreakInput: $('#timerLongBreakInput'),
+  timerCyclesInput: $('#timerCyclesInput'),
+  timerPauseBlockingToggle: $('#timerPauseBlockingToggle'),
+  timerResetBtn: $('#timerResetBtn'),
+
+  // Schedules
+  scheduleList: $('#scheduleList'),
+  scheduleEmpty: $('#scheduleEmpty'),
+  scheduleAddBtn: $('#scheduleAddBtn'),
+  scheduleEditor: $('#scheduleEditor'),
+  scheduleName: $('#scheduleName'),
   dayCheckboxes: $$('input[name="scheduleDay"]'),
-  startTime: $('#startTime'),
-  endTime: $('#endTime'),
+  scheduleRanges: $('#scheduleRanges'),
+  scheduleAddRangeBtn: $('#scheduleAddRangeBtn'),
+  scheduleExceptionInput: $('#scheduleExceptionInput'),
+  scheduleExceptionAddBtn: $('#scheduleExceptionAddBtn'),
+  scheduleExceptionList: $('#scheduleExceptionList'),
+  scheduleUseBlocklist: $('#scheduleUseBlocklist'),
+  schedulePrebuiltLists: $('#schedulePrebuiltLists'),
+  scheduleSites: $('#scheduleSites'),
+  scheduleNuclearToggle: $('#scheduleNuclearToggle'),
+  scheduleCancelBtn: $('#scheduleCancelBtn'),
 
   // Nuclear
   nuclearDurationRadios: $$('input[name="nuclearDuration"]'),
   nuclearActivateBtn: $('#nuclearActivateBtn'),
   nuclearStatus: $('#nuclearStatus'),
   nuclearTimeRemaining: $('#nuclearTimeRemaining'),
+  nuclearWhitelistToggle: $('#nuclearWhitelistToggle'),
 
   // Dialog
   confirmDialog: $('#confirmDialog'),
@@ -114,8 +198,15 @@ async function init() {
   checkNuclearStatus();
   showVersion();
   initDebugLog();
+  initOverrideLog();
+  initIncognito();
+  initSettingsLock();
   initLockedDurations();
   initPrivacyData();
+  await initSiteListEditors();
+  await initRedirectEditor();
+  await initChallengeEditor();
+  await initSchedules();
   await initProSection();
 }
 
@@ -205,20 +296,11 @@ function populateForm() {
   // Notifications
   els.mutingToggle.checked = s.notificationMuting ?? true;
 
-  // Schedule
-  const schedule = s.schedule || null;
-  const scheduleEnabled = schedule ? schedule.enabled : false;
-  els.scheduleToggle.checked = scheduleEnabled;
-  updateScheduleVisibility(scheduleEnabled);
+  // Focus timer
+  populateTimerProfile(s.timerProfile);
 
-  if (schedule) {
-    const days = schedule.days || [];
-    for (const cb of els.dayCheckboxes) {
-      cb.checked = days.includes(parseInt(cb.value, 10));
-    }
-    els.startTime.value = schedule.startTime || '09:00';
-    els.endTime.value = schedule.endTime || '17:00';
-  }
+  // Override policy
+  populateOverridePolicy(s.overridePolicy);
 
   // Privacy controls
   if (privacyPreferences && els.errorLoggingToggle && els.usageStatsToggle) {
@@ -246,13 +328,17 @@ function bindEvents() {
   // Notifications
   els.mutingToggle.addEventListener('change', onMutingToggle);
 
-  // Schedule
-  els.scheduleToggle.addEventListener('change', onScheduleToggle);
-  for (const cb of els.dayCheckboxes) {
-    cb.addEventListener('change', onScheduleChange);
+  // Override policy
+  els.overrideMaxSelect.addEventListener('change', onOverridePolicyChange);
+  els.overrideCooldownSelect.addEventListener('change', onOverridePolicyChange);
+  els.overrideEscalateToggle.addEventListener('change', onOverridePolicyChange);
+  els.overrideChallengeSelect.addEventListener('change', onOverridePolicyChange);
+
+  // Focus timer
+  for (const input of [els.timerFocusInput, els.timerShortBreakInput, els.timerLongBreakInput, els.timerCyclesInput, els.timerPauseBlockingToggle]) {
+    input.addEventListener('change', () => saveTimerProfile(readTimerProfile()));
   }
-  els.startTime.addEventListener('change', onScheduleChange);
-  els.endTime.addEventListener('change', onScheduleChange);
+  els.timerResetBtn.addEventListener('click', () => saveTimerProfile(null));
 
   // Nuclear
   els.nuclearActivateBtn.addEventListener('click', onNuclearClick);
@@ -322,8 +408,7 @@ function bindEvents() {
 
 function onThemeChange(e) {
   const theme = e.target.value;
-  currentSettings.theme = theme;
-  saveSettings();
+  saveSettings({ theme });
   applyTheme(theme);
 }
 
@@ -337,14 +422,12 @@ function applyTheme(theme) {
 
 function onSoundToggle() {
   const enabled = els.soundToggle.checked;
-  currentSettings.soundEnabled = enabled;
   updateSoundVisibility(enabled);
-  saveSettings();
+  saveSettings({ soundEnabled: enabled });
 }
 
 function onSoundSelectorChange() {
-  currentSettings.selectedSound = els.soundSelector.value;
-  saveSettings();
+  saveSettings({ selectedSound: els.soundSelector.value });
 }
 
 function onVolumeInput() {
@@ -352,8 +435,7 @@ function onVolumeInput() {
 }
 
 function onVolumeChange() {
-  currentSettings.volume = parseInt(els.volumeSlider.value, 10);
-  saveSettings();
+  saveSettings({ volume: parseInt(els.volumeSlider.value, 10) });
 }
 
 function updateSoundVisibility(enabled) {
@@ -366,78 +448,550 @@ function updateSoundVisibility(enabled) {
 // ---------------------------------------------------------------------------
 
 function onMutingToggle() {
-  currentSettings.notificationMuting = els.mutingToggle.checked;
-  saveSettings();
+  saveSettings({ notificationMuting: els.mutingToggle.checked });
 }
 
 // ---------------------------------------------------------------------------
-// Schedule
+// Override Policy
 // ---------------------------------------------------------------------------
+// Saved through the service worker, which enforces the policy and validates it.
 
-function onScheduleToggle() {
-  const enabled = els.scheduleToggle.checked;
-  updateScheduleVisibility(enabled);
+/**
+ * Show an override policy in the form, adding options for values the
+ * selects don't list.
+ * @param {{ maxPerDay?: number, cooldownMinutes?: number, escalatingWait?: boolean, challenge?: string|null }|null} policy
+ */
+function populateOverridePolicy(policy) {
+  const p = policy || {};
+  setSelectValue(els.overrideMaxSelect, p.maxPerDay || 0, String(p.maxPerDay));
+  setSelectValue(els.overrideCooldownSelect, p.cooldownMinutes || 0, `${p.cooldownMinutes} min`);
+  els.overrideEscalateToggle.checked = p.escalatingWait === true;
+  els.overrideChallengeSelect.value = p.challenge || '';
+}
 
-  if (!currentSettings.schedule) {
-    currentSettings.schedule = {
-      enabled: false,
-      days: [1, 2, 3, 4, 5],
-      startTime: '09:00',
-      endTime: '17:00',
-    };
-    // Populate defaults into the form
-    for (const cb of els.dayCheckboxes) {
-      cb.checked = currentSettings.schedule.days.includes(parseInt(cb.value, 10));
+function setSelectValue(select, value, label) {
+  const str = String(value);
+  if (![...select.options].some(o => o.value === str)) {
+    const option = document.createElement('option');
+    option.value = str;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+  select.value = str;
+}
+
+async function onOverridePolicyChange() {
+  const policy = {
+    maxPerDay: parseInt(els.overrideMaxSelect.value, 10),
+    cooldownMinutes: parseInt(els.overrideCooldownSelect.value, 10),
+    escalatingWait: els.overrideEscalateToggle.checked,
+    challenge: els.overrideChallengeSelect.value || null,
+  };
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'UPDATE_OVERRIDE_POLICY', policy });
+    if (!response || response.error) {
+      showOptionsToast(response?.error || 'Could not save changes.', 3000);
+      populateOverridePolicy(currentSettings.overridePolicy);
+      return;
     }
-    els.startTime.value = currentSettings.schedule.startTime;
-    els.endTime.value = currentSettings.schedule.endTime;
+    // Keep the in-memory copy current for later renders
+    currentSettings.overridePolicy = response.overridePolicy;
+  } catch (err) {
+    console.warn('Could not update override policy:', err);
+    populateOverridePolicy(currentSettings.overridePolicy);
   }
+}
+
+// ---------------------------------------------------------------------------
+// Focus Timer
+// ---------------------------------------------------------------------------
 
-  currentSettings.schedule.enabled = enabled;
-  saveSettings();
-  notifyScheduleChange();
+const DEFAULT_TIMER_PROFILE = { focusDuration: 25, shortBreakDuration: 5, longBreakDuration: 15, cyclesToLongBreak: 4, blockWhilePaused: true };
+
+function populateTimerProfile(profile) {
+  const p = { ...DEFAULT_TIMER_PROFILE, ...(profile || {}) };
+  els.timerFocusInput.value = p.focusDuration;
+  els.timerShortBreakInput.value = p.shortBreakDuration;
+  els.timerLongBreakInput.value = p.longBreakDuration;
+  els.timerCyclesInput.value = p.cyclesToLongBreak;
+  els.timerPauseBlockingToggle.checked = p.blockWhilePaused !== false;
+}
+
+function readTimerProfile() {
+  return {
+    focusDuration: parseInt(els.timerFocusInput.value, 10),
+    shortBreakDuration: parseInt(els.timerShortBreakInput.value, 10),
+    longBreakDuration: parseInt(els.timerLongBreakInput.value, 10),
+    cyclesToLongBreak: parseInt(els.timerCyclesInput.value, 10),
+    blockWhilePaused: els.timerPauseBlockingToggle.checked,
+  };
+}
+
+// The service worker validates the bounds and stores the profile
+async function saveTimerProfile(profile) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'UPDATE_TIMER_PROFILE', profile });
+    if (!response || response.error) {
+      showOptionsToast(response?.error || 'Could not save changes.', 3000);
+      populateTimerProfile(currentSettings.timerProfile);
+      return;
+    }
+    // Keep the in-memory copy current for later renders
+    currentSettings.timerProfile = profile ? response.timerProfile : null;
+    populateTimerProfile(response.timerProfile);
+  } catch (err) {
+    console.warn('Could not update the focus timer:', err);
+    populateTimerProfile(currentSettings.timerProfile);
+  }
 }
 
-function onScheduleChange() {
-  if (!currentSettings.schedule) return;
+// ---------------------------------------------------------------------------
+// Schedules
+// ---------------------------------------------------------------------------
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+const MAX_SCHEDULE_RANGES = 6;
+
+let schedules = [];
+let editingScheduleId = null; // id of the schedule in the editor, '' for a new one
+let lockedScheduleId = null;  // schedule whose nuclear window is running
+let editorRanges = [];        // [{ start, end }] being edited
+let editorExceptions = [];    // ['YYYY-MM-DD'] being edited
 
-  const days = [];
+async function initSchedules() {
+  schedules = getSchedules(currentSettings);
+
+  try {
+    const response = await fetch(chrome.runtime.getURL('src/data/blocklists.json'));
+    const lists = await response.json();
+    for (const [listId, list] of Object.entries(lists)) {
+      const label = document.createElement('label');
+      label.className = 'day-checkbox';
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.name = 'schedulePrebuilt';
+      input.value = listId;
+      const chip = document.createElement('span');
+      chip.className = 'day-chip';
+      chip.textContent = list.name;
+      label.appendChild(input);
+      label.appendChild(chip);
+      els.schedulePrebuiltLists.appendChild(label);
+    }
+  } catch (err) {
+    console.warn('Could not load prebuilt lists:', err);
+  }
+
+  els.scheduleAddBtn.addEventListener('click', onScheduleAdd);
+  els.scheduleCancelBtn.addEventListener('click', closeScheduleEditor);
+  els.scheduleEditor.addEventListener('submit', onScheduleSave);
+  els.scheduleAddRangeBtn.addEventListener('click', () => {
+    editorRanges.push({ start: '09:00', end: '17:00' });
+    renderScheduleRanges();
+  });
+  els.scheduleExceptionAddBtn.addEventListener('click', onScheduleExceptionAdd);
+
+  renderSchedules();
+}
+
+function describeSchedule(schedule) {
+  const days = WEEK_ORDER.filter(day => schedule.days.includes(day)).map(day => DAY_NAMES[day]).join(', ') || 'No days';
+  const ranges = schedule.ranges.map(range => `${range.start}–${range.end}`).join(' and ');
+  let summary = `${days}, ${ranges}`;
+  if (schedule.exceptions.length > 0) {
+    summary += `, skips ${schedule.exceptions.length} ${schedule.exceptions.length === 1 ? 'date' : 'dates'}`;
+  }
+  return schedule.nuclear ? `${summary} (Nuclear)` : summary;
+}
+
+function renderSchedules() {
+  els.scheduleList.replaceChildren();
+  els.scheduleEmpty.hidden = schedules.length > 0;
+  els.scheduleAddBtn.hidden = editingScheduleId !== null;
+
+  for (const schedule of schedules) {
+    const locked = schedule.id === lockedScheduleId;
+
+    const li = document.createElement('li');
+    li.className = 'site-editor__item';
+
+    const text = document.createElement('span');
+    text.className = 'site-editor__pattern';
+    text.textContent = `${schedule.name} — ${describeSchedule(schedule)}`;
+    if (locked) text.title = 'Locked while its Nuclear Mode window is running';
+
+    const toggle = document.createElement('label');
+    toggle.className = 'toggle';
+    toggle.setAttribute('aria-label', `Enable ${schedule.name}`);
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = schedule.enabled;
+    input.disabled = locked;
+    input.addEventListener('change', () => {
+      saveSchedules(schedules.map(s => (s.id === schedule.id ? { ...s, enabled: input.checked } : s)));
+    });
+    const slider = document.createElement('span');
+    slider.className = 'toggle-slider';
+    toggle.appendChild(input);
+    toggle.appendChild(slider);
+
+    const editBtn = document.createElement('button');
+    editBtn.type = 'button';
+    editBtn.className = 'site-editor__action';
+    editBtn.textContent = 'Edit';
+    editBtn.disabled = locked;
+    editBtn.setAttribute('aria-label', `Edit ${schedule.name}`);
+    editBtn.addEventListener('click', () => openScheduleEditor(schedule));
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'site-editor__remove';
+    removeBtn.textContent = 'Remove';
+    removeBtn.disabled = locked;
+    removeBtn.setAttribute('aria-label', `Remove ${schedule.name}`);
+    removeBtn.addEventListener('click', () => {
+      saveSchedules(schedules.filter(s => s.id !== schedule.id));
+    });
+
+    li.appendChild(text);
+    li.appendChild(toggle);
+    li.appendChild(editBtn);
+    li.appendChild(removeBtn);
+    els.scheduleList.appendChild(li);
+  }
+}
+
+async function onScheduleAdd() {
+  const proStatus = await isPro();
+  const { maxSchedules } = getProLimits(proStatus);
+  if (schedules.length >= maxSchedules) {
+    showOptionsToast(`Free plan allows ${maxSchedules} schedule. Upgrade to Pro for unlimited schedules.`, 3000);
+    return;
+  }
+  openScheduleEditor(null);
+}
+
+/**
+ * Show the editor for a schedule, or for a new one when `schedule` is null.
+ * @param {object|null} schedule
+ */
+function openScheduleEditor(schedule) {
+  const values = schedule || {
+    name: '',
+    days: [1, 2, 3, 4, 5],
+    ranges: [{ start: '09:00', end: '17:00' }],
+    exceptions: [],
+    nuclear: false,
+    sites: [],
+    prebuiltLists: [],
+    useBlocklist: true,
+  };
+  editingScheduleId = schedule ? schedule.id : '';
+
+  els.scheduleName.value = values.name;
   for (const cb of els.dayCheckboxes) {
-    if (cb.checked) days.push(parseInt(cb.value, 10));
+    cb.checked = values.days.includes(parseInt(cb.value, 10));
+  }
+  editorRanges = values.ranges.map(range => ({ ...range }));
+  editorExceptions = [...values.exceptions];
+  renderScheduleRanges();
+  renderScheduleExceptions();
+  els.scheduleUseBlocklist.checked = values.useBlocklist;
+  for (const cb of els.schedulePrebuiltLists.querySelectorAll('input')) {
+    cb.checked = values.prebuiltLists.includes(cb.value);
   }
+  els.scheduleSites.value = values.sites.join('\n');
+  els.scheduleNuclearToggle.checked = values.nuclear;
+
+  els.scheduleEditor.hidden = false;
+  renderSchedules();
+  els.scheduleName.focus();
+}
+
+function closeScheduleEditor() {
+  editingScheduleId = null;
+  els.scheduleEditor.hidden = true;
+  renderSchedules();
+}
 
-  const startTime = els.startTime.value;
-  const endTime = els.endTime.value;
+async function onScheduleSave(e) {
+  e.preventDefault();
 
-  // Validate: end must be after start
-  if (endTime && startTime && endTime <= startTime) {
-    els.endTime.setCustomValidity('End time must be after start time');
-    els.endTime.reportValidity();
+  // An end before the start runs overnight, but an empty range is a mistake
+  const emptyRange = editorRanges.findIndex(range => !range.start || !range.end || range.start === range.end);
+  if (emptyRange !== -1) {
+    const endInput = els.scheduleRanges.querySelectorAll('input[type="time"]')[emptyRange * 2 + 1];
+    endInput.setCustomValidity('End time must differ from start time');
+    endInput.reportValidity();
     return;
-  } else {
-    els.endTime.setCustomValidity('');
   }
 
-  currentSettings.schedule.days = days;
-  currentSettings.schedule.startTime = startTime;
-  currentSettings.schedule.endTime = endTime;
-  saveSettings();
-  notifyScheduleChange();
+  const existing = schedules.find(s => s.id === editingScheduleId);
+  const edited = {
+    id: editingScheduleId,
+    name: els.scheduleName.value.trim(),
+    enabled: existing ? existing.enabled : true,
+    days: [...els.dayCheckboxes].filter(cb => cb.checked).map(cb => parseInt(cb.value, 10)),
+    ranges: editorRanges.map(range => ({ ...range })),
+    exceptions: [...editorExceptions],
+    nuclear: els.scheduleNuclearToggle.checked,
+    sites: els.scheduleSites.value.split('\n').map(site => site.trim()).filter(Boolean),
+    prebuiltLists: [...els.schedulePrebuiltLists.querySelectorAll('input')].filter(cb => cb.checked).map(cb => cb.value),
+    useBlocklist: els.scheduleUseBlocklist.checked,
+  };
+
+  const next = existing
+    ? schedules.map(s => (s.id === existing.id ? edited : s))
+    : [...schedules, edited];
+  if (await saveSchedules(next)) {
+    closeScheduleEditor();
+  }
 }
 
-function updateScheduleVisibility(enabled) {
-  els.scheduleOptions.hidden = !enabled;
+function createTimeField(id, labelText, value, onChange) {
+  const field = document.createElement('div');
+  field.className = 'time-field';
+  const label = document.createElement('label');
+  label.htmlFor = id;
+  label.textContent = labelText;
+  const input = document.createElement('input');
+  input.type = 'time';
+  input.id = id;
+  input.value = value;
+  input.addEventListener('change', () => {
+    input.setCustomValidity('');
+    onChange(input.value);
+  });
+  field.appendChild(label);
+  field.appendChild(input);
+  return field;
 }
 
-async function notifyScheduleChange() {
-  try {
-    await chrome.runtime.sendMessage({
-      type: 'UPDATE_SCHEDULE',
-      schedule: currentSettings.schedule,
+function renderScheduleRanges() {
+  els.scheduleRanges.replaceChildren();
+
+  editorRanges.forEach((range, index) => {
+    const row = document.createElement('div');
+    row.className = 'time-row';
+
+    const separator = document.createElement('span');
+    separator.className = 'time-separator';
+    separator.setAttribute('aria-hidden', 'true');
+    separator.textContent = 'to';
+
+    row.appendChild(createTimeField(`scheduleRange${index}Start`, chrome.i18n.getMessage('labelStartTime') || 'Start time', range.start, value => { range.start = value; }));
+    row.appendChild(separator);
+    row.appendChild(createTimeField(`scheduleRange${index}End`, chrome.i18n.getMessage('labelEndTime') || 'End time', range.end, value => { range.end = value; }));
+
+    if (editorRanges.length > 1) {
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'site-editor__remove';
+      removeBtn.textContent = 'Remove';
+      removeBtn.setAttribute('aria-label', `Remove time range ${index + 1}`);
+      removeBtn.addEventListener('click', () => {
+        editorRanges.splice(index, 1);
+        renderScheduleRanges();
+      });
+      row.appendChild(removeBtn);
+    }
+
+    els.scheduleRanges.appendChild(row);
+  });
+
+  els.scheduleAddRangeBtn.hidden = editorRanges.length >= MAX_SCHEDULE_RANGES;
+}
+
+function renderScheduleExceptions() {
+  els.scheduleExceptionList.replaceChildren();
+
+  for (const date of editorExceptions) {
+    const li = document.createElement('li');
+    li.className = 'site-editor__item';
+
+    const text = document.createElement('span');
+    text.className = 'site-editor__pattern';
+    const [year, month, day] = date.split('-').map(Number);
+    text.textContent = new Date(year, month - 1, day).toLocaleDateString(undefined, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'site-editor__remove';
+    removeBtn.textContent = 'Remove';
+    removeBtn.setAttribute('aria-label', `Stop skipping ${date}`);
+    removeBtn.addEventListener('click', () => {
+      editorExceptions = editorExceptions.filter(d => d !== date);
+      renderScheduleExceptions();
     });
+
+    li.appendChild(text);
+    li.appendChild(removeBtn);
+    els.scheduleExceptionList.appendChild(li);
+  }
+}
+
+function onScheduleExceptionAdd() {
+  const date = els.scheduleExceptionInput.value;
+  if (!date) return;
+  if (!editorExceptions.includes(date)) {
+    editorExceptions = [...editorExceptions, date].sort();
+    renderScheduleExceptions();
+  }
+  els.scheduleExceptionInput.value = '';
+}
+
+// The service worker stores schedules, so a settings lock or a running
+// nuclear window can refuse the change
+async function saveSchedules(next) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'UPDATE_SCHEDULES', schedules: next });
+    if (!response || response.error) {
+      showOptionsToast(response?.error || 'Could not save changes.', 3000);
+      // Put back the schedules that are still in effect
+      renderSchedules();
+      return false;
+    }
+    schedules = response.schedules;
+    currentSettings.schedules = schedules;
+    delete currentSettings.schedule;
+    renderSchedules();
+    return true;
   } catch (err) {
-    console.warn('Could not notify service worker of schedule change:', err);
+    console.warn('Could not save schedules:', err);
+    showOptionsToast('Could not save changes.', 3000);
+    return false;
+  }
+}
+
+// Scheduled nuclear mode locks the schedule that started it until its window ends
+function setLockedSchedule(scheduleId) {
+  lockedScheduleId = scheduleId;
+  if (editingScheduleId && editingScheduleId === scheduleId) {
+    closeScheduleEditor();
+  } else {
+    renderSchedules();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Site List Editors
+// ---------------------------------------------------------------------------
+// Site lists are saved through the service worker (not setStorage) so it can
+// validate entries and refresh the blocking rules immediately.
+
+async function initSiteListEditors() {
+  await initSiteListEditor({
+    storageKey: 'allowlist',
+    messageType: 'UPDATE_ALLOWLIST',
+    input: els.allowlistInput,
+    addBtn: els.allowlistAddBtn,
+    list: els.allowlistList,
+    empty: els.allowlistEmpty,
+    listName: 'allowlist',
+  });
+  await initSiteListEditor({
+    storageKey: 'whitelist',
+    messageType: 'UPDATE_WHITELIST',
+    input: els.whitelistInput,
+    addBtn: els.whitelistAddBtn,
+    list: els.whitelistList,
+    empty: els.whitelistEmpty,
+    listName: 'work sites',
+  });
+}
+
+/**
+ * Wire an add/remove editor for one stored list of site patterns.
+ * @param {{ storageKey: string, messageType: string, input: HTMLInputElement,
+ *   addBtn: HTMLButtonElement, list: HTMLUListElement, empty: HTMLElement, listName: string }} config
+ */
+async function initSiteListEditor(config) {
+  if (!config.input || !config.list) return;
+
+  const stored = await getStorage(config.storageKey);
+  let sites = stored[config.storageKey] || [];
+
+  async function save(updated) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: config.messageType, sites: updated });
+      if (!response || response.error) {
+        showOptionsToast(response?.error || 'Could not save changes.', 3000);
+        return false;
+      }
+      sites = response[config.storageKey] || updated;
+      render();
+      return true;
+    } catch (err) {
+      console.warn('Could not update', config.storageKey, ':', err);
+      showOptionsToast('Could not save changes.', 3000);
+      return false;
+    }
+  }
+
+  function render() {
+    config.list.replaceChildren();
+    config.empty.hidden = sites.length > 0;
+
+    for (const pattern of sites) {
+      const li = document.createElement('li');
+      li.className = 'site-editor__item';
+
+      const text = document.createElement('span');
+      text.className = 'site-editor__pattern';
+      text.textContent = pattern;
+
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'site-editor__remove';
+      removeBtn.textContent = 'Remove';
+      removeBtn.setAttribute('aria-label', `Remove ${pattern} from ${config.listName}`);
+      removeBtn.addEventListener('click', () => save(sites.filter(p => p !== pattern)));
+
+      li.appendChild(text);
+      li.appendChild(removeBtn);
+      config.list.appendChild(li);
+    }
   }
+
+  async function add() {
+    const entry = parseEntry(config.input.value);
+    if (!entry) {
+      config.input.setCustomValidity('Enter a site like example.com, example.com/path or *.example.com');
+      config.input.reportValidity();
+      return;
+    }
+    config.input.setCustomValidity('');
+
+    if (sites.includes(entry.pattern)) {
+      config.input.value = '';
+      return;
+    }
+
+    if (await save([...sites, entry.pattern])) {
+      config.input.value = '';
+    }
+  }
+
+  config.addBtn.addEventListener('click', add);
+  config.input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      add();
+    }
+  });
+  config.input.addEventListener('input', () => config.input.setCustomValidity(''));
+
+  // Keep in sync with edits made from the popup
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[config.storageKey]) {
+      sites = changes[config.storageKey].newValue || [];
+      render();
+    }
+  });
+
+  render();
 }
 
 // ---------------------------------------------------------------------------
@@ -481,12 +1035,15 @@ async function onConfirmActivate() {
     const response = await chrome.runtime.sendMessage({
       type: 'ACTIVATE_NUCLEAR',
       duration: duration,
+      whitelistMode: els.nuclearWhitelistToggle.checked,
     });
 
     if (response && response.success) {
       // Reload settings to pick up nuclear state
       await loadSettings();
       checkNuclearStatus();
+    } else if (response && response.error) {
+      showOptionsToast(response.error, 3000);
     }
   } catch (err) {
     console.error('Failed to activate nuclear mode:', err);
@@ -498,16 +1055,18 @@ async function checkNuclearStatus() {
   const nuclear = settings.nuclearMode;
 
   if (nuclear && nuclear.active && Date.now() < nuclear.endsAt) {
-    showNuclearActive(nuclear.endsAt);
+    showNuclearActive(nuclear.endsAt, nuclear.scheduleId || null);
   } else {
     hideNuclearActive();
   }
 }
 
-function showNuclearActive(endsAt) {
+function showNuclearActive(endsAt, scheduleId) {
   els.nuclearStatus.hidden = false;
+  setLockedSchedule(scheduleId);
   els.nuclearActivateBtn.disabled = true;
   els.nuclearActivateBtn.textContent = 'Nuclear Mode Active';
+  els.nuclearWhitelistToggle.disabled = true;
 
   updateNuclearCountdown(endsAt);
 
@@ -520,8 +1079,10 @@ function showNuclearActive(endsAt) {
 
 function hideNuclearActive() {
   els.nuclearStatus.hidden = true;
+  setLockedSchedule(null);
   els.nuclearActivateBtn.disabled = false;
   els.nuclearActivateBtn.textContent = 'Activate Nuclear Mode';
+  els.nuclearWhitelistToggle.disabled = false;
 
   if (nuclearCheckInterval) {
     clearInterval(nuclearCheckInterval);
@@ -556,9 +1117,17 @@ function updateNuclearCountdown(endsAt) {
 // Save
 // ---------------------------------------------------------------------------
 
-async function saveSettings() {
-  // DATA: Stores user preferences (theme, sound, schedule, etc.). User-initiated. Not transmitted externally.
-  await setStorage({ settings: currentSettings });
+/**
+ * Save preference changes made on this page. The service worker writes other
+ * settings while the page is open (nuclear mode, presets, schedules), so this
+ * merges into freshly read settings instead of writing back currentSettings.
+ * @param {object} changes — settings fields to update
+ */
+async function saveSettings(changes) {
+  Object.assign(currentSettings, changes);
+  const { settings } = await getStorage('settings');
+  // DATA: Stores user preferences (theme, sound, notifications). User-initiated. Not transmitted externally.
+  await setStorage({ settings: { ...settings, ...changes } });
 }
 
 // ---------------------------------------------------------------------------
@@ -660,6 +1229,443 @@ async function onClearLog() {
   }
 }
 
+// ---------------------------------------------------------------------------
+// Redirects
+// ---------------------------------------------------------------------------
+// Redirects live in siteOptions next to each blocklist entry's other options
+// and are saved through the service worker, which re-checks for loops.
+
+async function initRedirectEditor() {
+  let { blocklist, siteOptions } = await getStorage(['blocklist', 'siteOptions']);
+
+  function render() {
+    const selected = els.redirectSiteSelect.value;
+    els.redirectSiteSelect.replaceChildren();
+    for (const pattern of blocklist) {
+      const option = document.createElement('option');
+      option.value = pattern;
+      option.textContent = pattern;
+      els.redirectSiteSelect.appendChild(option);
+    }
+    if (blocklist.includes(selected)) els.redirectSiteSelect.value = selected;
+    els.redirectSiteSelect.disabled = blocklist.length === 0;
+    els.redirectAddBtn.disabled = blocklist.length === 0;
+
+    els.redirectList.replaceChildren();
+    const redirects = blocklist.filter(pattern => siteOptions[pattern] && siteOptions[pattern].redirectTo);
+    els.redirectEmpty.hidden = redirects.length > 0;
+
+    for (const pattern of redirects) {
+      const li = document.createElement('li');
+      li.className = 'site-editor__item';
+
+      const text = document.createElement('span');
+      text.className = 'site-editor__pattern';
+      text.textContent = `${pattern} \u2192 ${siteOptions[pattern].redirectTo}`;
+
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'site-editor__remove';
+      removeBtn.textContent = 'Remove';
+      removeBtn.setAttribute('aria-label', `Stop redirecting ${pattern}`);
+      removeBtn.addEventListener('click', () => save(pattern, null));
+
+      li.appendChild(text);
+      li.appendChild(removeBtn);
+      els.redirectList.appendChild(li);
+    }
+  }
+
+  async function save(pattern, redirectTo) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'UPDATE_SITE_OPTIONS', pattern, options: { redirectTo } });
+      if (!response || response.error) {
+        showOptionsToast(response?.error || 'Could not save changes.', 3000);
+        return false;
+      }
+      siteOptions = response.siteOptions;
+      render();
+      return true;
+    } catch (err) {
+      console.warn('Could not update redirect:', err);
+      showOptionsToast('Could not save changes.', 3000);
+      return false;
+    }
+  }
+
+  async function add() {
+    const input = els.redirectTargetInput;
+    const url = parseRedirectTarget(input.value);
+    if (!url) {
+      input.setCustomValidity('Enter a web address like https://example.com');
+      input.reportValidity();
+      return;
+    }
+
+    // A blocked destination would bounce straight back into a block
+    const { allowlist } = await getStorage('allowlist');
+    if (isRedirectLoop(url, parseEntries(await getFullBlocklist()), parseEntries(allowlist))) {
+      input.setCustomValidity(`${url.hostname} is blocked too, so redirecting there would loop`);
+      input.reportValidity();
+      return;
+    }
+    input.setCustomValidity('');
+
+    if (await save(els.redirectSiteSelect.value, url.href)) {
+      input.value = '';
+    }
+  }
+
+  els.redirectAddBtn.addEventListener('click', add);
+  els.redirectTargetInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      add();
+    }
+  });
+  els.redirectTargetInput.addEventListener('input', () => els.redirectTargetInput.setCustomValidity(''));
+
+  // Keep in sync with blocklist edits made from the popup
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+    if (changes.blocklist) blocklist = changes.blocklist.newValue || [];
+    if (changes.siteOptions) siteOptions = changes.siteOptions.newValue || {};
+    if (changes.blocklist || changes.siteOptions) render();
+  });
+
+  render();
+}
+
+// ---------------------------------------------------------------------------
+// Site Unlock Challenges
+// ---------------------------------------------------------------------------
+// Stored in siteOptions like redirects; the service worker issues and checks
+// the challenges, and refuses removing one during nuclear mode.
+
+const CHALLENGE_LABELS = {
+  typing: 'Retype a paragraph',
+  math: 'Solve 5 math problems',
+  hold: 'Hold a button for 60 seconds',
+};
+
+async function initChallengeEditor() {
+  let { blocklist, siteOptions } = await getStorage(['blocklist', 'siteOptions']);
+
+  function render() {
+    const selected = els.challengeSiteSelect.value;
+    els.challengeSiteSelect.replaceChildren();
+    for (const pattern of blocklist) {
+      const option = document.createElement('option');
+      option.value = pattern;
+      option.textContent = pattern;
+      els.challengeSiteSelect.appendChild(option);
+    }
+    if (blocklist.includes(selected)) els.challengeSiteSelect.value = selected;
+    els.challengeSiteSelect.disabled = blocklist.length === 0;
+    els.challengeAddBtn.disabled = blocklist.length === 0;
+
+    els.challengeList.replaceChildren();
+    const challenged = blocklist.filter(pattern => siteOptions[pattern] && siteOptions[pattern].challenge);
+    els.challengeEmpty.hidden = challenged.length > 0;
+
+    for (const pattern of challenged) {
+      const li = document.createElement('li');
+      li.className = 'site-editor__item';
+
+      const text = document.createElement('span');
+      text.className = 'site-editor__pattern';
+      const challenge = siteOptions[pattern].challenge;
+      text.textContent = `${pattern} \u2014 ${CHALLENGE_LABELS[challenge] || challenge}`;
+
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'site-editor__remove';
+      removeBtn.textContent = 'Remove';
+      removeBtn.setAttribute('aria-label', `Remove the unlock challenge for ${pattern}`);
+      removeBtn.addEventListener('click', () => save(pattern, null));
+
+      li.appendChild(text);
+      li.appendChild(removeBtn);
+      els.challengeList.appendChild(li);
+    }
+  }
+
+  async function save(pattern, challenge) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'UPDATE_SITE_OPTIONS', pattern, options: { challenge } });
+      if (!response || response.error) {
+        showOptionsToast(response?.error || 'Could not save changes.', 3000);
+        return;
+      }
+      siteOptions = response.siteOptions;
+      render();
+    } catch (err) {
+      console.warn('Could not update unlock challenge:', err);
+      showOptionsToast('Could not save changes.', 3000);
+    }
+  }
+
+  els.challengeAddBtn.addEventListener('click', () => {
+    save(els.challengeSiteSelect.value, els.challengeTypeSelect.value);
+  });
+
+  // Keep in sync with blocklist edits made from the popup
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+    if (changes.blocklist) blocklist = changes.blocklist.newValue || [];
+    if (changes.siteOptions) siteOptions = changes.siteOptions.newValue || {};
+    if (changes.blocklist || changes.siteOptions) render();
+  });
+
+  render();
+}
+
+// ---------------------------------------------------------------------------
+// Incognito
+// ---------------------------------------------------------------------------
+
+function initIncognito() {
+  els.incognitoSettingsBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: `chrome://extensions/?id=${chrome.runtime.id}` });
+  });
+  els.incognitoBlockToggle.addEventListener('change', onIncognitoBlockToggle);
+
+  // The permission is changed on another page; pick it up on return
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden) refreshIncognitoStatus();
+  });
+
+  refreshIncognitoStatus();
+}
+
+async function refreshIncognitoStatus() {
+  try {
+    renderIncognitoStatus(await chrome.runtime.sendMessage({ type: 'GET_INCOGNITO_STATUS' }));
+  } catch (err) {
+    console.warn('Could not load incognito status:', err);
+  }
+}
+
+/**
+ * @param {{ allowed: boolean, blockIncognito: boolean }} status
+ */
+function renderIncognitoStatus(status) {
+  if (!status || status.error) return;
+  els.incognitoWarning.hidden = status.allowed;
+  els.incognitoStatus.textContent = status.allowed
+    ? 'Focus Mode is allowed in incognito, so your blocks apply there too.'
+    : 'Focus Mode can\'t see incognito windows, so it can\'t block or close anything there.';
+  els.incognitoBlockToggle.checked = status.blockIncognito;
+  // Closing tabs needs the permission too; an enabled setting can still be turned off
+  els.incognitoBlockToggle.disabled = !status.allowed && !status.blockIncognito;
+}
+
+async function onIncognitoBlockToggle() {
+  const enabled = els.incognitoBlockToggle.checked;
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'UPDATE_INCOGNITO_BLOCKING', enabled });
+    if (!response || response.error) {
+      showOptionsToast(response?.error || 'Could not save changes.', 3000);
+      els.incognitoBlockToggle.checked = !enabled;
+      return;
+    }
+    // Keep the in-memory copy current for later renders
+    currentSettings.blockIncognito = response.blockIncognito;
+    renderIncognitoStatus(response);
+  } catch (err) {
+    console.warn('Could not update incognito blocking:', err);
+    els.incognitoBlockToggle.checked = !enabled;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Settings Lock
+// ---------------------------------------------------------------------------
+// The service worker holds the hash and decides what is locked; this only
+// shows the lock's state and passes on what the user types.
+
+let lockRefreshTimeout = null;
+
+function initSettingsLock() {
+  for (const radio of els.lockMethodRadios) {
+    radio.addEventListener('change', updateLockMethod);
+  }
+  els.lockEnableBtn.addEventListener('click', onEnableLock);
+  els.lockCodeDoneBtn.addEventListener('click', () => {
+    els.lockCodeValue.textContent = '';
+    els.lockCodeReveal.hidden = true;
+    refreshSettingsLock();
+  });
+  els.lockUnlockBtn.addEventListener('click', onUnlockSettings);
+  els.lockUnlockInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      onUnlockSettings();
+    }
+  });
+  els.lockNowBtn.addEventListener('click', () => sendLockMessage({ type: 'LOCK_SETTINGS' }));
+  els.lockRemoveBtn.addEventListener('click', () => sendLockMessage({ type: 'REMOVE_SETTINGS_LOCK' }));
+
+  refreshSettingsLock();
+}
+
+function updateLockMethod() {
+  const partner = [...els.lockMethodRadios].some(r => r.checked && r.value === 'partner');
+  els.lockPasswordRow.hidden = partner;
+  els.lockPartnerDesc.hidden = !partner;
+}
+
+async function refreshSettingsLock() {
+  try {
+    renderSettingsLock(await chrome.runtime.sendMessage({ type: 'GET_SETTINGS_LOCK' }));
+  } catch (err) {
+    console.warn('Could not load settings lock:', err);
+  }
+}
+
+/**
+ * @param {{ enabled: boolean, method: string|null, unlockedUntil: number|null }} lock
+ */
+function renderSettingsLock(lock) {
+  clearTimeout(lockRefreshTimeout);
+  if (!lock || lock.error) return;
+
+  // Keep a partner code on screen until it has been noted down
+  if (!els.lockCodeReveal.hidden) {
+    els.lockSetup.hidden = true;
+    els.lockActive.hidden = true;
+    return;
+  }
+
+  els.lockSetup.hidden = lock.enabled;
+  els.lockActive.hidden = !lock.enabled;
+  if (!lock.enabled) {
+    updateLockMethod();
+    return;
+  }
+
+  const via = lock.method === 'partner' ? 'your partner\'s code' : 'a password';
+  const unlocked = !!lock.unlockedUntil;
+  els.lockUnlockRow.hidden = unlocked;
+  els.lockOpenActions.hidden = !unlocked;
+  els.lockUnlockInput.placeholder = lock.method === 'partner' ? 'Partner code' : 'Password';
+
+  if (unlocked) {
+    const until = new Date(lock.unlockedUntil).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    els.lockStatus.textContent = `Unlocked until ${until}. Settings lock again on their own.`;
+    lockRefreshTimeout = setTimeout(refreshSettingsLock, Math.max(0, lock.unlockedUntil - Date.now()) + 500);
+  } else {
+    els.lockStatus.textContent = `Settings are locked with ${via}.`;
+  }
+}
+
+async function onEnableLock() {
+  const method = [...els.lockMethodRadios].find(r => r.checked)?.value || 'password';
+  const message = { type: 'SET_SETTINGS_LOCK', method };
+
+  if (method === 'password') {
+    const password = els.lockPasswordInput.value;
+    if (password !== els.lockPasswordConfirm.value) {
+      els.lockPasswordConfirm.setCustomValidity('Passwords don\'t match');
+      els.lockPasswordConfirm.reportValidity();
+      return;
+    }
+    els.lockPasswordConfirm.setCustomValidity('');
+    message.password = password;
+  }
+
+  const response = await sendLockMessage(message);
+  if (!response) return;
+  els.lockPasswordInput.value = '';
+  els.lockPasswordConfirm.value = '';
+
+  if (response.partnerCode) {
+    els.lockCodeValue.textContent = response.partnerCode;
+    els.lockCodeReveal.hidden = false;
+    renderSettingsLock(response.settingsLock);
+  }
+}
+
+async function onUnlockSettings() {
+  const response = await sendLockMessage({ type: 'UNLOCK_SETTINGS', secret: els.lockUnlockInput.value });
+  if (response) els.lockUnlockInput.value = '';
+}
+
+/**
+ * Send a settings lock message and show the resulting state.
+ * @param {object} message
+ * @returns {Promise<object|null>} the response, or null on error
+ */
+async function sendLockMessage(message) {
+  try {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response || response.error) {
+      showOptionsToast(response?.error || 'Could not save changes.', 3000);
+      return null;
+    }
+    renderSettingsLock(response.settingsLock);
+    return response;
+  } catch (err) {
+    console.warn('Settings lock request failed:', err);
+    showOptionsToast('Could not save changes.', 3000);
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Override Log
+// ---------------------------------------------------------------------------
+
+function initOverrideLog() {
+  renderOverrideLog();
+  els.overrideLogClear.addEventListener('click', onClearOverrideLog);
+}
+
+async function renderOverrideLog() {
+  try {
+    const { overrideLog } = await getStorage('overrideLog');
+    els.overrideLogList.replaceChildren();
+
+    // Show last 20 entries, newest first
+    const recent = overrideLog.slice(-20).reverse();
+    els.overrideLogEmpty.hidden = recent.length > 0;
+    els.overrideLogClear.hidden = recent.length === 0;
+
+    for (const entry of recent) {
+      const li = document.createElement('li');
+      li.className = 'debug-log__item';
+
+      const time = document.createElement('span');
+      time.className = 'debug-log__time';
+      time.textContent = new Date(entry.at).toLocaleString();
+
+      const domain = document.createElement('span');
+      domain.className = 'debug-log__source';
+      domain.textContent = entry.domain;
+
+      const intention = document.createElement('span');
+      intention.textContent = entry.intention ? `"${entry.intention}"` : 'No reason given';
+
+      li.appendChild(time);
+      li.appendChild(domain);
+      li.appendChild(intention);
+      els.overrideLogList.appendChild(li);
+    }
+  } catch (err) {
+    console.warn('Failed to load override log:', err);
+  }
+}
+
+async function onClearOverrideLog() {
+  try {
+    // DATA: Clears the local override log. User-initiated. Not transmitted externally.
+    await setStorage({ overrideLog: [] });
+    renderOverrideLog();
+  } catch (err) {
+    console.warn('Failed to clear override log:', err);
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Privacy Preferences
 // ---------------------------------------------------------------------------
@@ -872,8 +1878,14 @@ async function onDeleteAllDataConfirmed() {
     els.deleteConfirmExecute.disabled = true;
     els.deleteConfirmExecute.textContent = 'Deleting...';
 
-    // Clear all storage
-    await chrome.storage.local.clear();
+    // Cleared by the service worker, which refuses while settings are locked
+    const response = await chrome.runtime.sendMessage({ type: 'DELETE_ALL_DATA' });
+    if (!response || response.error) {
+      els.deleteConfirmDialog.close();
+      els.deleteConfirmExecute.textContent = 'Delete Everything';
+      showOptionsToast(response?.error || 'Deletion failed. Please try again.', 3000);
+      return;
+    }
 
     els.deleteConfirmDialog.close();
     showOptionsToast('All data has been deleted. Reloading...', 2000);
@@ -14,6 +14,27 @@ const DEFAULT_FREE_SITE_LIMIT = 10;
 const DEFAULT_FREE_PREBUILT_LIMIT = 2;
 const TIMER_POLL_INTERVAL_MS = 1000;
 
+// Message type used to persist each editable site list
+const SITE_LIST_MESSAGES = {
+  blocklist: 'UPDATE_BLOCKLIST',
+  allowlist: 'UPDATE_ALLOWLIST'
+};
+
+// What a blocklist entry blocks besides the page itself
+const BLOCK_SCOPES = {
+  page: { label: 'Page', options: { blockEmbeds: false, blockRequests: false } },
+  embeds: { label: '+ Embeds', options: { blockEmbeds: true, blockRequests: false } },
+  all: { label: '+ Media', options: { blockEmbeds: true, blockRequests: true } }
+};
+
+// How a blocklist entry blocks: outright, or a speed bump of N seconds
+const SPEED_BUMP_CHOICES = [
+  { seconds: 0, label: 'Block' },
+  { seconds: 10, label: '10s pause' },
+  { seconds: 30, label: '30s pause' },
+  { seconds: 60, label: '60s pause' }
+];
+
 // ---------------------------------------------------------------------------
 // Focus Tips (Tip-of-the-Day)
 // ---------------------------------------------------------------------------
@@ -67,7 +88,10 @@ function cacheElements() {
     // Home — idle state
     stateIdle:          document.getElementById('state-idle'),
     onboardingWelcome:  document.getElementById('onboarding-welcome'),
+    incognitoWarning:   document.getElementById('incognito-warning'),
+    btnIncognitoSettings: document.getElementById('btn-incognito-settings'),
     btnQuickFocus:      document.getElementById('btn-quick-focus'),
+    toggleWhitelistMode: document.getElementById('toggle-whitelist-mode'),
     statFocusTime:      document.getElementById('stat-focus-time'),
     statBlocks:         document.getElementById('stat-blocks'),
     statAttempts:       document.getElementById('stat-attempts'),
@@ -79,7 +103,18 @@ function cacheElements() {
     stateActive:        document.getElementById('state-active'),
     timerDisplay:       document.getElementById('timer-display'),
     timerRing:          document.getElementById('timer-ring'),
+    customDuration:     document.getElementById('custom-duration'),
+    customDurationLabel: document.getElementById('custom-duration-label'),
+    inputCustomDuration: document.getElementById('input-custom-duration'),
+    btnCustomDurationUse: document.getElementById('btn-custom-duration-use'),
+    btnCustomDurationSave: document.getElementById('btn-custom-duration-save'),
+    durationPresets:    document.getElementById('duration-presets'),
+    durationRecent:     document.getElementById('duration-recent'),
+    extendRow:          document.getElementById('extend-row'),
+    btnPauseSession:    document.getElementById('btn-pause-session'),
+    pauseSessionLabel:  document.getElementById('pause-session-label'),
     btnStopSession:     document.getElementById('btn-stop-session'),
+    stopSessionLabel:   document.getElementById('stop-session-label'),
     sessionBlocks:      document.getElementById('session-blocks'),
     sessionStreak:      document.getElementById('session-streak'),
 
@@ -92,6 +127,9 @@ function cacheElements() {
     btnTakeBreak:       document.getElementById('btn-take-break'),
 
     // Blocklist
+    settingsLockBar:    document.getElementById('settings-lock-bar'),
+    inputUnlock:        document.getElementById('input-unlock'),
+    btnUnlock:          document.getElementById('btn-unlock'),
     inputSite:          document.getElementById('input-site'),
     btnAddSite:         document.getElementById('btn-add-site'),
     siteCountUsed:      document.getElementById('site-count-used'),
@@ -99,6 +137,20 @@ function cacheElements() {
     siteCountFill:      document.getElementById('site-count-fill'),
     manualSitesList:    document.getElementById('manual-sites-list'),
     emptyBlocklistMsg:  document.getElementById('empty-blocklist-msg'),
+    inputAllowSite:     document.getElementById('input-allow-site'),
+    btnAddAllowSite:    document.getElementById('btn-add-allow-site'),
+    allowSitesList:     document.getElementById('allow-sites-list'),
+    emptyAllowlistMsg:  document.getElementById('empty-allowlist-msg'),
+    inputBudgetSite:    document.getElementById('input-budget-site'),
+    inputBudgetMinutes: document.getElementById('input-budget-minutes'),
+    btnAddBudget:       document.getElementById('btn-add-budget'),
+    budgetList:         document.getElementById('budget-list'),
+    emptyBudgetMsg:     document.getElementById('empty-budget-msg'),
+    inputVisitSite:     document.getElementById('input-visit-site'),
+    inputVisitCount:    document.getElementById('input-visit-count'),
+    btnAddVisitLimit:   document.getElementById('btn-add-visit-limit'),
+    visitLimitList:     document.getElementById('visit-limit-list'),
+    emptyVisitLimitMsg: document.getElementById('empty-visit-limit-msg'),
     toggleSocialMedia:  document.getElementById('toggle-social-media'),
     toggleNews:         document.getElementById('toggle-news'),
 
@@ -197,33 +249,67 @@ function scoreColor(score) {
 }
 
 /**
- * Extract a bare domain from a variety of user inputs.
- * Handles: "reddit.com", "https://www.reddit.com/foo", "www.reddit.com", etc.
+ * Normalize a user-entered blocklist entry. Mirrors parseEntry() in
+ * shared/rules.js; the service worker re-validates every entry.
+ * Handles: "reddit.com", "https://www.reddit.com", "linkedin.com/feed",
+ * "*.slack.com", "keyword:/shorts/", "regex:reddit\.com/r/all", etc.
  * @param {string} input
- * @returns {string|null} cleaned domain, or null if invalid
+ * @returns {string|null} normalized site pattern, or null if invalid
  */
-function extractDomain(input) {
+function normalizeSiteEntry(input) {
   if (!input) return null;
 
-  let cleaned = input.trim().toLowerCase();
+  const trimmed = input.trim();
+  const lower = trimmed.toLowerCase();
 
-  // Strip leading protocol if present
-  cleaned = cleaned.replace(/^https?:\/\//, '');
+  // Regex sources keep their case; the service worker checks RE2 support
+  if (lower.startsWith('regex:')) {
+    const source = trimmed.slice(6).trim();
+    try {
+      new RegExp(source);
+    } catch (e) {
+      return null;
+    }
+    return source ? 'regex:' + source : null;
+  }
+  if (lower.startsWith('keyword:')) {
+    const keyword = lower.slice(8).trim();
+    return /^\S{3,}$/.test(keyword) ? 'keyword:' + keyword : null;
+  }
 
-  // Strip leading www.
-  cleaned = cleaned.replace(/^www\./, '');
+  let cleaned = lower;
 
-  // Strip path, query, fragment
-  cleaned = cleaned.split('/')[0].split('?')[0].split('#')[0];
+  // Strip leading protocol and fragment
+  cleaned = cleaned.replace(/^https?:\/\//, '').split('#')[0];
 
-  // Strip port
-  cleaned = cleaned.split(':')[0];
+  // Wildcard subdomain entries keep their "*." prefix; others drop www.
+  const wildcard = cleaned.startsWith('*.');
+  cleaned = wildcard ? cleaned.slice(2) : cleaned.replace(/^www\./, '');
+
+  // Split host from path/query, then strip the port
+  const boundary = cleaned.search(/[/?]/);
+  const host = (boundary === -1 ? cleaned : cleaned.slice(0, boundary)).split(':')[0];
+  let path = boundary === -1 ? '' : cleaned.slice(boundary);
+  if (path.startsWith('?')) path = '/' + path;
+  if (path === '/') path = '';
 
   // Basic validation: must contain a dot, only valid domain characters
-  if (!cleaned || !cleaned.includes('.')) return null;
-  if (!/^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+$/.test(cleaned)) return null;
+  if (!host || !host.includes('.')) return null;
+  if (!/^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+$/.test(host)) return null;
+  if (wildcard) return path ? null : '*.' + host;
+  if (path && !/^\/[^\s*^|]*$/.test(path)) return null;
+
+  return host + path;
+}
 
-  return cleaned;
+/**
+ * Get the host part of a site pattern (for favicons).
+ * @param {string} pattern
+ * @returns {string|null} null for keyword and regex patterns
+ */
+function patternHost(pattern) {
+  if (/^(regex|keyword):/.test(pattern)) return null;
+  return pattern.replace(/^\*\./, '').split(/[/?]/)[0];
 }
 
 /**
@@ -388,6 +474,9 @@ function renderIdleState(els, state) {
     els.onboardingWelcome.hidden = !isNewUser;
   }
 
+  // Incognito tabs escape blocking until the extension is allowed there
+  els.incognitoWarning.hidden = state.incognitoAllowed !== false;
+
   const stats = state.stats || {};
   const streak = state.streak || {};
 
@@ -412,18 +501,87 @@ function renderIdleState(els, state) {
   }
 }
 
+/**
+ * Render the saved presets and recent custom lengths as chips under the
+ * custom duration input.
+ * @param {Record<string, HTMLElement>} els
+ * @param {object} state
+ * @param {(minutes: number) => void} onSelect
+ * @param {(minutes: number) => void} onRemovePreset
+ */
+function renderDurationChips(els, state, onSelect, onRemovePreset) {
+  const presets = state.durationPresets || [];
+  const recent = (state.recentDurations || []).filter(m => !presets.includes(m));
+
+  const createChip = (minutes, removable) => {
+    const chip = document.createElement('span');
+    chip.className = 'duration-chip';
+
+    const useBtn = document.createElement('button');
+    useBtn.type = 'button';
+    useBtn.className = 'duration-chip__use';
+    useBtn.textContent = `${minutes} min`;
+    useBtn.addEventListener('click', () => onSelect(minutes));
+    chip.appendChild(useBtn);
+
+    if (removable) {
+      const removeBtn = createRemoveButton(`Remove the ${minutes} min preset`);
+      removeBtn.addEventListener('click', () => onRemovePreset(minutes));
+      chip.appendChild(removeBtn);
+    }
+    return chip;
+  };
+
+  els.durationPresets.textContent = '';
+  els.durationRecent.textContent = '';
+  if (presets.length > 0) {
+    els.durationPresets.appendChild(document.createTextNode('Saved'));
+    presets.forEach(m => els.durationPresets.appendChild(createChip(m, true)));
+  }
+  if (recent.length > 0) {
+    els.durationRecent.appendChild(document.createTextNode('Recent'));
+    recent.forEach(m => els.durationRecent.appendChild(createChip(m, false)));
+  }
+}
+
 /**
  * Compute the remaining seconds from a timerState object, accounting for
- * elapsed time since startedAt.
+ * elapsed time since startedAt. Paused time doesn't count, so the timer
+ * stays frozen while the session is paused.
  * @param {object} timerState
  * @returns {number}
  */
 function computeRemaining(timerState) {
   if (!timerState || !timerState.startedAt) return 0;
-  const elapsed = Math.floor((Date.now() - timerState.startedAt) / 1000);
+  const now = Date.now();
+  const pausedMs = (timerState.pausedMs || 0) + (timerState.pausedAt ? now - timerState.pausedAt : 0);
+  const elapsed = Math.floor((now - timerState.startedAt - pausedMs) / 1000);
   return Math.max(0, timerState.duration - elapsed);
 }
 
+/**
+ * Update the timer text and progress ring. Countdowns show the time left
+ * and fill the ring as it runs down; Flowtime counts up and fills the ring
+ * once an hour.
+ * @param {Record<string, HTMLElement>} els
+ * @param {object} timerState
+ * @returns {number} seconds left (a Flowtime session only ends at its cap)
+ */
+function renderTimerProgress(els, timerState) {
+  const remaining = computeRemaining(timerState);
+  const total = timerState.duration || 1;
+  const elapsed = total - remaining;
+
+  if (timerState.flowtime) {
+    els.timerDisplay.textContent = formatTimer(elapsed);
+    updateProgressRing(els.timerRing, (elapsed % 3600) / 3600);
+  } else {
+    els.timerDisplay.textContent = formatTimer(remaining);
+    updateProgressRing(els.timerRing, elapsed / total);
+  }
+  return remaining;
+}
+
 /**
  * Render the active-session state.
  * @param {Record<string, HTMLElement>} els
@@ -433,24 +591,42 @@ function renderActiveState(els, state) {
   showHomeState(els, 'active');
 
   const timerState = state.timerState || {};
-  const remaining = timerState.remaining != null ? timerState.remaining : computeRemaining(timerState);
-  const total = timerState.duration || 1;
 
-  // Timer text
-  els.timerDisplay.textContent = formatTimer(remaining);
-
-  // Timer ring: progress = elapsed fraction
-  const elapsed = total - remaining;
-  updateProgressRing(els.timerRing, elapsed / total);
+  // Timer text and ring
+  renderTimerProgress(els, timerState);
 
   // Set ring color based on status
   const isFocus = timerState.status === 'focus';
-  els.timerRing.style.stroke = isFocus ? '#22C55E' : '#3B82F6';
+  const isPaused = isFocus && !!timerState.pausedAt;
+  const isFlowtime = isFocus && timerState.flowtime === true;
+  els.timerRing.style.stroke = isPaused ? '#94A3B8' : (isFocus ? '#22C55E' : '#3B82F6');
+
+  // Extend: the running session, or during a break the one that just ended.
+  // Flowtime has no end to extend.
+  els.extendRow.hidden = isFlowtime || !(isFocus || timerState.lastFocus);
+
+  // Flowtime sessions are finished, which starts their break
+  els.stopSessionLabel.textContent = isFlowtime ? 'Finish & Take a Break' : 'Stop Session';
+  els.btnStopSession.setAttribute('aria-label', isFlowtime ? 'Finish the Flowtime session and take a break' : 'Stop the current focus session');
+
+  // Pause / Resume: focus sessions only, a limited number of times
+  els.btnPauseSession.hidden = !isFocus;
+  if (isFocus) {
+    const maxPauses = (state.pauseLimits && state.pauseLimits.maxPauses) || 0;
+    const pausesLeft = Math.max(0, maxPauses - (timerState.pauseCount || 0));
+    els.pauseSessionLabel.textContent = isPaused ? 'Resume' : `Pause (${pausesLeft} left)`;
+    els.btnPauseSession.setAttribute('aria-label', isPaused ? 'Resume the focus session' : 'Pause the current focus session');
+    els.btnPauseSession.disabled = !isPaused && pausesLeft === 0;
+  }
 
   // Update status text below timer
   const statusEl = els.stateActive.querySelector('.timer__status');
   if (statusEl) {
-    if (timerState.status === 'focus') {
+    if (isPaused) {
+      statusEl.textContent = 'Paused';
+    } else if (isFlowtime) {
+      statusEl.textContent = 'Flowtime';
+    } else if (timerState.status === 'focus') {
       statusEl.textContent = 'Focusing';
     } else if (timerState.status === 'break') {
       statusEl.textContent = 'Short Break';
@@ -510,6 +686,14 @@ function renderBlocklistTab(els, state) {
   const siteLimit = proStatus ? Infinity : ((state.proLimits && state.proLimits.maxSites) || DEFAULT_FREE_SITE_LIMIT);
   const prebuiltLimit = proStatus ? Infinity : ((state.proLimits && state.proLimits.maxPrebuiltLists) || DEFAULT_FREE_PREBUILT_LIMIT);
 
+  // Settings lock: edits below are refused until it is unlocked
+  const lock = state.settingsLock;
+  const locked = !!(lock && lock.enabled && !(lock.unlockedUntil > Date.now()));
+  els.settingsLockBar.hidden = !locked;
+  if (locked) {
+    els.inputUnlock.placeholder = lock.method === 'partner' ? 'Settings locked: partner code' : 'Settings locked: password';
+  }
+
   // Site count
   els.siteCountUsed.textContent = String(blocklist.length);
   els.siteCountTotal.textContent = proStatus ? 'unlimited' : String(siteLimit);
@@ -540,6 +724,58 @@ function renderBlocklistTab(els, state) {
     });
   }
 
+  // Allowlist exceptions
+  const allowlist = state.allowlist || [];
+  els.allowSitesList.replaceChildren();
+  els.emptyAllowlistMsg.hidden = allowlist.length > 0;
+  allowlist.forEach((domain) => {
+    els.allowSitesList.appendChild(createSiteListItem(domain, els, state, 'allowlist'));
+  });
+
+  // Daily time budgets, with what's left of each today
+  const siteBudgets = state.siteBudgets || {};
+  const budgetUsed = (state.stats && state.stats.budgetUsed) || {};
+  els.budgetList.replaceChildren();
+  els.emptyBudgetMsg.hidden = Object.keys(siteBudgets).length > 0;
+  for (const [pattern, minutes] of Object.entries(siteBudgets)) {
+    const remaining = Math.max(0, Math.ceil((minutes * 60 - (budgetUsed[pattern] || 0)) / 60));
+    const metaText = remaining > 0 ? `${remaining} of ${minutes} min left` : `All ${minutes} min used`;
+    els.budgetList.appendChild(createLimitListItem(pattern, metaText, remaining === 0, async () => {
+      const updated = { ...siteBudgets };
+      delete updated[pattern];
+      const response = await sendMessage({ type: 'UPDATE_BUDGETS', budgets: updated });
+      if (response && !response.error) {
+        state.siteBudgets = response.siteBudgets;
+        renderBlocklistTab(els, state);
+        showToast(els, `Removed budget for ${pattern}`);
+      } else {
+        showToast(els, response?.error || 'Failed to remove budget');
+      }
+    }));
+  }
+
+  // Daily visit limits, with the visits left of each today
+  const siteVisitLimits = state.siteVisitLimits || {};
+  const visitsUsed = (state.stats && state.stats.visitsUsed) || {};
+  els.visitLimitList.replaceChildren();
+  els.emptyVisitLimitMsg.hidden = Object.keys(siteVisitLimits).length > 0;
+  for (const [pattern, visits] of Object.entries(siteVisitLimits)) {
+    const remaining = Math.max(0, visits - (visitsUsed[pattern] || 0));
+    const metaText = remaining > 0 ? `${remaining} of ${visits} visits left` : `All ${visits} visits used`;
+    els.visitLimitList.appendChild(createLimitListItem(pattern, metaText, remaining === 0, async () => {
+      const updated = { ...siteVisitLimits };
+      delete updated[pattern];
+      const response = await sendMessage({ type: 'UPDATE_VISIT_LIMITS', limits: updated });
+      if (response && !response.error) {
+        state.siteVisitLimits = response.siteVisitLimits;
+        renderBlocklistTab(els, state);
+        showToast(els, `Removed visit limit for ${pattern}`);
+      } else {
+        showToast(els, response?.error || 'Failed to remove visit limit');
+      }
+    }));
+  }
+
   // Pre-built list toggles
   if (els.toggleSocialMedia) {
     els.toggleSocialMedia.checked = activePrebuiltLists.includes('social-media');
@@ -561,23 +797,105 @@ function renderBlocklistTab(els, state) {
 }
 
 /**
- * Create a <li> element for a blocked site entry.
+ * Create a <li> element for a blocked or allowed site entry.
  * @param {string} domain
  * @param {Record<string, HTMLElement>} els
  * @param {object} state
+ * @param {'blocklist'|'allowlist'} [listKey] — which state list the entry belongs to
  * @returns {HTMLLIElement}
  */
-function createSiteListItem(domain, els, state) {
+function createSiteListItem(domain, els, state, listKey = 'blocklist') {
   const li = document.createElement('li');
   li.className = 'site-list__item';
   li.dataset.domain = domain;
 
+  const faviconSpan = createFavicon(domain);
+
+  const domainSpan = document.createElement('span');
+  domainSpan.className = 'site-list__domain';
+  domainSpan.textContent = domain;
+
+  const removeBtn = createRemoveButton(`Remove ${domain} from ${listKey}`);
+  // Nuclear mode only lets the blocklist grow
+  if (listKey === 'blocklist' && state.nuclearActive) {
+    removeBtn.disabled = true;
+    removeBtn.title = 'Sites can\'t be removed during Nuclear Mode';
+  }
+
+  removeBtn.addEventListener('click', async () => {
+    const updatedList = (state[listKey] || []).filter(d => d !== domain);
+    const response = await sendMessage({ type: SITE_LIST_MESSAGES[listKey], sites: updatedList });
+    if (response && !response.error) {
+      state[listKey] = updatedList;
+      li.remove();
+      renderBlocklistTab(els, state);
+      showToast(els, `Removed ${domain}`);
+    } else {
+      showToast(els, response?.error || 'Failed to remove site');
+    }
+  });
+
+  li.appendChild(faviconSpan);
+  li.appendChild(domainSpan);
+  if (listKey === 'blocklist') {
+    li.appendChild(createSpeedBumpSelect(domain, els, state));
+    li.appendChild(createScopeSelect(domain, els, state));
+  }
+  li.appendChild(removeBtn);
+
+  return li;
+}
+
+/**
+ * Create a <li> for a site with a per-day limit (time budget or visit
+ * limit), showing what's left of it today.
+ * @param {string} pattern
+ * @param {string} metaText — e.g. "5 of 15 min left"
+ * @param {boolean} exhausted — whether today's limit is used up
+ * @param {() => Promise<void>} onRemove
+ * @returns {HTMLLIElement}
+ */
+function createLimitListItem(pattern, metaText, exhausted, onRemove) {
+  const li = document.createElement('li');
+  li.className = 'site-list__item';
+  li.dataset.domain = pattern;
+
+  const domainSpan = document.createElement('span');
+  domainSpan.className = 'site-list__domain';
+  domainSpan.textContent = pattern;
+
+  const metaSpan = document.createElement('span');
+  metaSpan.className = 'site-list__meta' + (exhausted ? ' site-list__meta--exhausted' : '');
+  metaSpan.textContent = metaText;
+
+  const removeBtn = createRemoveButton(`Remove limit for ${pattern}`);
+  removeBtn.addEventListener('click', onRemove);
+
+  li.appendChild(createFavicon(pattern));
+  li.appendChild(domainSpan);
+  li.appendChild(metaSpan);
+  li.appendChild(removeBtn);
+
+  return li;
+}
+
+/**
+ * Create the favicon span for a site list entry.
+ * @param {string} pattern
+ * @returns {HTMLSpanElement}
+ */
+function createFavicon(pattern) {
   const faviconSpan = document.createElement('span');
   faviconSpan.className = 'site-list__favicon';
   faviconSpan.setAttribute('aria-hidden', 'true');
   // Use Google's favicon service as a best-effort
   const faviconImg = document.createElement('img');
-  faviconImg.src = `https://www.google.com/s2/favicons?domain=${encodeURIComponent(domain)}&sz=32`;
+  const host = patternHost(pattern);
+  if (host) {
+    faviconImg.src = `https://www.google.com/s2/favicons?domain=${encodeURIComponent(host)}&sz=32`;
+  } else {
+    faviconImg.style.display = 'none';
+  }
   faviconImg.width = 16;
   faviconImg.height = 16;
   faviconImg.alt = '';
@@ -586,14 +904,18 @@ function createSiteListItem(domain, els, state) {
     faviconImg.style.display = 'none';
   });
   faviconSpan.appendChild(faviconImg);
+  return faviconSpan;
+}
 
-  const domainSpan = document.createElement('span');
-  domainSpan.className = 'site-list__domain';
-  domainSpan.textContent = domain;
-
+/**
+ * Create the remove (×) button for a site list entry.
+ * @param {string} label — accessible label
+ * @returns {HTMLButtonElement}
+ */
+function createRemoveButton(label) {
   const removeBtn = document.createElement('button');
   removeBtn.className = 'site-list__remove icon-btn';
-  removeBtn.setAttribute('aria-label', `Remove ${domain} from blocklist`);
+  removeBtn.setAttribute('aria-label', label);
   // Use safe DOM APIs instead of innerHTML for SVG
   const svgNS = 'http://www.w3.org/2000/svg';
   const svg = document.createElementNS(svgNS, 'svg');
@@ -614,25 +936,93 @@ function createSiteListItem(domain, els, state) {
   svg.appendChild(line1);
   svg.appendChild(line2);
   removeBtn.appendChild(svg);
+  return removeBtn;
+}
 
-  removeBtn.addEventListener('click', async () => {
-    const updatedList = (state.blocklist || []).filter(d => d !== domain);
-    const response = await sendMessage({ type: 'UPDATE_BLOCKLIST', sites: updatedList });
+/**
+ * Create the select that chooses whether a blocklist entry also blocks
+ * embedded frames, and optionally media/XHR requests, on other sites.
+ * @param {string} pattern
+ * @param {Record<string, HTMLElement>} els
+ * @param {object} state
+ * @returns {HTMLSelectElement}
+ */
+function createScopeSelect(pattern, els, state) {
+  const select = document.createElement('select');
+  select.className = 'site-list__scope';
+  select.setAttribute('aria-label', `What to block for ${pattern}`);
+  select.title = 'Also block this site when embedded in other pages';
+
+  for (const [value, scope] of Object.entries(BLOCK_SCOPES)) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = scope.label;
+    select.appendChild(option);
+  }
+
+  const current = (state.siteOptions || {})[pattern] || {};
+  select.value = current.blockRequests ? 'all' : current.blockEmbeds ? 'embeds' : 'page';
+
+  select.addEventListener('change', async () => {
+    const response = await sendMessage({
+      type: 'UPDATE_SITE_OPTIONS',
+      pattern,
+      options: BLOCK_SCOPES[select.value].options
+    });
     if (response && !response.error) {
-      state.blocklist = updatedList;
-      li.remove();
-      renderBlocklistTab(els, state);
-      showToast(els, `Removed ${domain}`);
+      state.siteOptions = response.siteOptions;
     } else {
-      showToast(els, response?.error || 'Failed to remove site');
+      showToast(els, response?.error || 'Failed to update site');
+      const saved = (state.siteOptions || {})[pattern] || {};
+      select.value = saved.blockRequests ? 'all' : saved.blockEmbeds ? 'embeds' : 'page';
     }
   });
 
-  li.appendChild(faviconSpan);
-  li.appendChild(domainSpan);
-  li.appendChild(removeBtn);
+  return select;
+}
 
-  return li;
+/**
+ * Create the select that chooses between blocking a blocklist entry outright
+ * and a speed bump: a countdown and "why?" prompt before continuing.
+ * @param {string} pattern
+ * @param {Record<string, HTMLElement>} els
+ * @param {object} state
+ * @returns {HTMLSelectElement}
+ */
+function createSpeedBumpSelect(pattern, els, state) {
+  const select = document.createElement('select');
+  select.className = 'site-list__scope';
+  select.setAttribute('aria-label', `How to block ${pattern}`);
+  select.title = 'Block outright, or ask why and make you wait before continuing';
+
+  const current = ((state.siteOptions || {})[pattern] || {}).speedBump || 0;
+  const choices = SPEED_BUMP_CHOICES.some(c => c.seconds === current)
+    ? SPEED_BUMP_CHOICES
+    : [...SPEED_BUMP_CHOICES, { seconds: current, label: `${current}s pause` }];
+
+  for (const choice of choices) {
+    const option = document.createElement('option');
+    option.value = String(choice.seconds);
+    option.textContent = choice.label;
+    select.appendChild(option);
+  }
+  select.value = String(current);
+
+  select.addEventListener('change', async () => {
+    const response = await sendMessage({
+      type: 'UPDATE_SITE_OPTIONS',
+      pattern,
+      options: { speedBump: Number(select.value) }
+    });
+    if (response && !response.error) {
+      state.siteOptions = response.siteOptions;
+    } else {
+      showToast(els, response?.error || 'Failed to update site');
+      select.value = String(((state.siteOptions || {})[pattern] || {}).speedBump || 0);
+    }
+  });
+
+  return select;
 }
 
 // ---------------------------------------------------------------------------
@@ -1074,8 +1464,22 @@ function startTimerPolling(els, state) {
         return;
       }
 
-      // Recompute remaining from startedAt for accuracy
-      const remaining = computeRemaining(timerState);
+      // A pause ends on its own after a while; pick up the resumed session
+      if (timerState.pausedAt) {
+        const maxMinutes = (state.pauseLimits && state.pauseLimits.maxMinutes) || 0;
+        if (Date.now() >= timerState.pausedAt + maxMinutes * 60 * 1000) {
+          stopTimerPolling();
+          const freshState = await sendMessage({ type: 'GET_STATE' });
+          if (freshState && !freshState.error) {
+            Object.assign(state, freshState);
+            determineAndRenderHomeState(els, state);
+          }
+        }
+        return;
+      }
+
+      // Recompute remaining from startedAt for accuracy, and redraw
+      const remaining = renderTimerProgress(els, timerState);
       timerState.remaining = remaining;
 
       if (remaining <= 0) {
@@ -1089,14 +1493,6 @@ function startTimerPolling(els, state) {
         return;
       }
 
-      // Update the timer display
-      els.timerDisplay.textContent = formatTimer(remaining);
-
-      // Update the timer progress ring
-      const total = timerState.duration || 1;
-      const elapsed = total - remaining;
-      updateProgressRing(els.timerRing, elapsed / total);
-
     } catch (err) {
       console.error('[Popup] Timer polling error:', err);
     }
@@ -1164,8 +1560,10 @@ function showNuclearIndicator(els, state) {
     headerLeft.appendChild(badge);
   }
 
-  // Disable stop button during nuclear mode
-  if (els.btnStopSession) {
+  // Disable stop button during nuclear mode; a Flowtime session can still
+  // be finished, since nuclear blocking carries on through its break
+  const flowtime = !!(state.timerState && state.timerState.status === 'focus' && state.timerState.flowtime);
+  if (els.btnStopSession && !flowtime) {
     els.btnStopSession.disabled = true;
     els.btnStopSession.title = 'Cannot stop during Nuclear Mode';
   }
@@ -1188,39 +1586,124 @@ function bindEvents(els, state) {
     }
   });
 
+  // --- Incognito warning: the toggle lives on the extension's details page ---
+  els.btnIncognitoSettings.addEventListener('click', () => {
+    chrome.tabs.create({ url: `chrome://extensions/?id=${chrome.runtime.id}` });
+  });
+
   // --- Duration selector buttons ---
   const durationBtns = document.querySelectorAll('.duration-btn');
-  let selectedDuration = 25; // default
+  // The first preset follows the focus length set in the options page
+  let selectedDuration = (state.timerProfile && state.timerProfile.focusDuration) || 25;
+  // Flowtime counts up instead of using selectedDuration
+  let flowtime = false;
+  if (durationBtns[0]) {
+    durationBtns[0].dataset.duration = String(selectedDuration);
+    durationBtns[0].textContent = `${selectedDuration} min`;
+  }
+
+  const customBtn = document.querySelector('.duration-btn[data-duration="custom"]');
+  const setPressed = (activeBtn) => {
+    durationBtns.forEach((b) => {
+      const isActive = b === activeBtn;
+      b.classList.toggle('duration-btn--active', isActive);
+      b.setAttribute('aria-pressed', String(isActive));
+    });
+  };
+
+  if (state.isPro && customBtn) {
+    const lockIcon = customBtn.querySelector('.pro-lock-icon');
+    if (lockIcon) lockIcon.remove();
+    customBtn.setAttribute('aria-label', 'Custom duration');
+  }
 
   durationBtns.forEach((btn) => {
     btn.addEventListener('click', () => {
       const dur = btn.dataset.duration;
 
-      // "Custom" is a Pro-only feature
+      // "Custom" is a Pro-only feature; the service worker enforces it too
       if (dur === 'custom') {
         if (!state.isPro) {
           showToast(els, 'Custom durations require Pro');
           return;
         }
-        // For now, Pro custom durations are not implemented in the popup
+        const opening = els.customDuration.hidden;
+        els.customDuration.hidden = !opening;
+        btn.setAttribute('aria-expanded', String(opening));
+        if (opening) els.inputCustomDuration.focus();
         return;
       }
 
-      selectedDuration = parseInt(dur, 10);
-
-      // Update pressed states
-      durationBtns.forEach((b) => {
-        const isActive = b === btn;
-        b.classList.toggle('duration-btn--active', isActive);
-        b.setAttribute('aria-pressed', String(isActive));
-      });
+      flowtime = dur === 'flow';
+      if (!flowtime) selectedDuration = parseInt(dur, 10);
+      els.customDurationLabel.textContent = 'Custom';
+      setPressed(btn);
     });
   });
 
+  // --- Custom duration picker ---
+  const sessionLimits = state.sessionLimits || { minMinutes: 1, maxMinutes: 480 };
+
+  /** Read the custom input, or toast and return null if it's out of range. */
+  const readCustomDuration = () => {
+    const minutes = Number(els.inputCustomDuration.value);
+    if (!Number.isInteger(minutes) || minutes < sessionLimits.minMinutes || minutes > sessionLimits.maxMinutes) {
+      showToast(els, `Enter ${sessionLimits.minMinutes}-${sessionLimits.maxMinutes} minutes`);
+      return null;
+    }
+    return minutes;
+  };
+
+  const selectCustomDuration = (minutes) => {
+    selectedDuration = minutes;
+    flowtime = false;
+    els.inputCustomDuration.value = String(minutes);
+    els.customDurationLabel.textContent = `${minutes} min`;
+    setPressed(customBtn);
+  };
+
+  const saveDurationPresets = async (presets, successText) => {
+    const response = await sendMessage({ type: 'UPDATE_DURATION_PRESETS', presets });
+    if (response && !response.error) {
+      state.durationPresets = response.durationPresets;
+      renderChips();
+      showToast(els, successText);
+    } else {
+      showToast(els, response?.error || 'Failed to save presets');
+    }
+  };
+
+  const renderChips = () => renderDurationChips(els, state, selectCustomDuration, (minutes) => {
+    saveDurationPresets((state.durationPresets || []).filter(m => m !== minutes), `Removed the ${minutes} min preset`);
+  });
+  renderChips();
+
+  els.btnCustomDurationUse.addEventListener('click', () => {
+    const minutes = readCustomDuration();
+    if (minutes !== null) selectCustomDuration(minutes);
+  });
+
+  els.inputCustomDuration.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') els.btnCustomDurationUse.click();
+  });
+
+  els.btnCustomDurationSave.addEventListener('click', () => {
+    const minutes = readCustomDuration();
+    if (minutes === null) return;
+    selectCustomDuration(minutes);
+    if ((state.durationPresets || []).includes(minutes)) return;
+    saveDurationPresets([...(state.durationPresets || []), minutes], `Saved ${minutes} min as a preset`);
+  });
+
   // --- Quick Focus button ---
   els.btnQuickFocus.addEventListener('click', async () => {
     els.btnQuickFocus.disabled = true;
-    const response = await sendMessage({ type: 'START_SESSION', duration: selectedDuration });
+    const response = await sendMessage({
+      type: 'START_SESSION',
+      duration: flowtime ? null : selectedDuration,
+      flowtime,
+      whitelistMode: els.toggleWhitelistMode.checked
+    });
 
     if (response && !response.error) {
       // Fetch fresh state and switch to active view
@@ -1235,8 +1718,64 @@ function bindEvents(els, state) {
     els.btnQuickFocus.disabled = false;
   });
 
+  // --- Extend Session buttons ---
+  els.extendRow.querySelectorAll('.extend-btn').forEach((btn) => {
+    btn.addEventListener('click', async () => {
+      const minutes = parseInt(btn.dataset.extend, 10);
+      btn.disabled = true;
+      const response = await sendMessage({ type: 'EXTEND_SESSION', minutes });
+
+      if (response && !response.error) {
+        const freshState = await sendMessage({ type: 'GET_STATE' });
+        if (freshState && !freshState.error) {
+          Object.assign(state, freshState);
+          determineAndRenderHomeState(els, state);
+        }
+        showToast(els, `Added ${minutes} minutes`);
+      } else {
+        showToast(els, response?.error || 'Cannot extend session');
+      }
+      btn.disabled = false;
+    });
+  });
+
+  // --- Pause / Resume Session button ---
+  els.btnPauseSession.addEventListener('click', async () => {
+    const paused = !!(state.timerState && state.timerState.pausedAt);
+    els.btnPauseSession.disabled = true;
+    const response = await sendMessage({ type: paused ? 'RESUME_SESSION' : 'PAUSE_SESSION' });
+
+    if (response && !response.error) {
+      const freshState = await sendMessage({ type: 'GET_STATE' });
+      if (freshState && !freshState.error) {
+        Object.assign(state, freshState);
+        determineAndRenderHomeState(els, state);
+      }
+    } else {
+      showToast(els, response?.error || (paused ? 'Cannot resume session' : 'Cannot pause session'));
+      els.btnPauseSession.disabled = false;
+    }
+  });
+
   // --- Stop Session button ---
   els.btnStopSession.addEventListener('click', async () => {
+    // Finishing a Flowtime session records it and starts its break
+    if (state.timerState && state.timerState.status === 'focus' && state.timerState.flowtime) {
+      els.btnStopSession.disabled = true;
+      const response = await sendMessage({ type: 'FINISH_SESSION' });
+      if (response && !response.error) {
+        const freshState = await sendMessage({ type: 'GET_STATE' });
+        if (freshState && !freshState.error) {
+          Object.assign(state, freshState);
+          determineAndRenderHomeState(els, state);
+        }
+      } else {
+        showToast(els, response?.error || 'Cannot finish session');
+      }
+      els.btnStopSession.disabled = false;
+      return;
+    }
+
     if (state.nuclearActive) {
       showToast(els, 'Cannot stop during Nuclear Mode');
       return;
@@ -1262,7 +1801,12 @@ function bindEvents(els, state) {
   // --- Post-session: Start Another ---
   els.btnStartAnother.addEventListener('click', async () => {
     els.btnStartAnother.disabled = true;
-    const response = await sendMessage({ type: 'START_SESSION', duration: selectedDuration });
+    const response = await sendMessage({
+      type: 'START_SESSION',
+      duration: flowtime ? null : selectedDuration,
+      flowtime,
+      whitelistMode: els.toggleWhitelistMode.checked
+    });
 
     if (response && !response.error) {
       const freshState = await sendMessage({ type: 'GET_STATE' });
@@ -1293,13 +1837,36 @@ function bindEvents(els, state) {
     els.btnTakeBreak.disabled = false;
   });
 
+  // --- Blocklist: Unlock settings ---
+  async function unlockSettings() {
+    const response = await sendMessage({ type: 'UNLOCK_SETTINGS', secret: els.inputUnlock.value });
+    if (response && !response.error) {
+      state.settingsLock = response.settingsLock;
+      els.inputUnlock.value = '';
+      renderBlocklistTab(els, state);
+      showToast(els, 'Settings unlocked for 5 minutes');
+    } else {
+      showToast(els, response?.error || 'Could not unlock settings');
+      els.inputUnlock.focus();
+    }
+  }
+
+  els.btnUnlock.addEventListener('click', unlockSettings);
+
+  els.inputUnlock.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      unlockSettings();
+    }
+  });
+
   // --- Blocklist: Add site ---
   async function addSite() {
     const raw = els.inputSite.value;
-    const domain = extractDomain(raw);
+    const domain = normalizeSiteEntry(raw);
 
     if (!domain) {
-      showToast(els, 'Enter a valid domain (e.g. twitter.com)');
+      showToast(els, 'Enter a valid site (e.g. twitter.com or linkedin.com/feed)');
       els.inputSite.focus();
       return;
     }
@@ -1344,6 +1911,130 @@ function bindEvents(els, state) {
     }
   });
 
+  // --- Allowlist: Add exception ---
+  async function addAllowSite() {
+    const domain = normalizeSiteEntry(els.inputAllowSite.value);
+
+    if (!domain) {
+      showToast(els, 'Enter a valid site (e.g. youtube.com/watch?v=)');
+      els.inputAllowSite.focus();
+      return;
+    }
+
+    if ((state.allowlist || []).includes(domain)) {
+      showToast(els, `${domain} is already allowed`);
+      els.inputAllowSite.value = '';
+      els.inputAllowSite.focus();
+      return;
+    }
+
+    const updatedList = [...(state.allowlist || []), domain];
+    const response = await sendMessage({ type: 'UPDATE_ALLOWLIST', sites: updatedList });
+
+    if (response && !response.error) {
+      state.allowlist = response.allowlist || updatedList;
+      els.inputAllowSite.value = '';
+      renderBlocklistTab(els, state);
+      showToast(els, `Always allowing ${domain}`);
+    } else {
+      showToast(els, response?.error || 'Failed to add exception');
+    }
+    els.inputAllowSite.focus();
+  }
+
+  els.btnAddAllowSite.addEventListener('click', addAllowSite);
+
+  els.inputAllowSite.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      addAllowSite();
+    }
+  });
+
+  // --- Time budgets: Add budget ---
+  async function addBudget() {
+    const pattern = normalizeSiteEntry(els.inputBudgetSite.value);
+    const minutes = Number(els.inputBudgetMinutes.value);
+
+    if (!pattern) {
+      showToast(els, 'Enter a valid site (e.g. reddit.com)');
+      els.inputBudgetSite.focus();
+      return;
+    }
+
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > 720) {
+      showToast(els, 'Daily budget must be 1-720 minutes');
+      els.inputBudgetMinutes.focus();
+      return;
+    }
+
+    const updated = { ...(state.siteBudgets || {}), [pattern]: minutes };
+    const response = await sendMessage({ type: 'UPDATE_BUDGETS', budgets: updated });
+
+    if (response && !response.error) {
+      state.siteBudgets = response.siteBudgets;
+      els.inputBudgetSite.value = '';
+      renderBlocklistTab(els, state);
+      showToast(els, `${pattern}: ${minutes} min a day`);
+    } else {
+      showToast(els, response?.error || 'Failed to add budget');
+    }
+    els.inputBudgetSite.focus();
+  }
+
+  els.btnAddBudget.addEventListener('click', addBudget);
+
+  [els.inputBudgetSite, els.inputBudgetMinutes].forEach((input) => {
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        addBudget();
+      }
+    });
+  });
+
+  // --- Visit limits: Add limit ---
+  async function addVisitLimit() {
+    const pattern = normalizeSiteEntry(els.inputVisitSite.value);
+    const visits = Number(els.inputVisitCount.value);
+
+    if (!pattern) {
+      showToast(els, 'Enter a valid site (e.g. news.ycombinator.com)');
+      els.inputVisitSite.focus();
+      return;
+    }
+
+    if (!Number.isInteger(visits) || visits < 1 || visits > 100) {
+      showToast(els, 'Visit limit must be 1-100 visits per day');
+      els.inputVisitCount.focus();
+      return;
+    }
+
+    const updated = { ...(state.siteVisitLimits || {}), [pattern]: visits };
+    const response = await sendMessage({ type: 'UPDATE_VISIT_LIMITS', limits: updated });
+
+    if (response && !response.error) {
+      state.siteVisitLimits = response.siteVisitLimits;
+      els.inputVisitSite.value = '';
+      renderBlocklistTab(els, state);
+      showToast(els, `${pattern}: ${visits} ${visits === 1 ? 'visit' : 'visits'} a day`);
+    } else {
+      showToast(els, response?.error || 'Failed to add visit limit');
+    }
+    els.inputVisitSite.focus();
+  }
+
+  els.btnAddVisitLimit.addEventListener('click', addVisitLimit);
+
+  [els.inputVisitSite, els.inputVisitCount].forEach((input) => {
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        addVisitLimit();
+      }
+    });
+  });
+
   // --- Blocklist: Pre-built list toggles ---
   if (els.toggleSocialMedia) {
     els.toggleSocialMedia.addEventListener('change', async () => {
@@ -1407,6 +2098,10 @@ async function init() {
       streak: {},
       settings: {},
       blocklist: [],
+      allowlist: [],
+      siteOptions: {},
+      siteBudgets: {},
+      siteVisitLimits: {},
       activePrebuiltLists: [],
       isPro: false,
       proLimits: { maxSites: DEFAULT_FREE_SITE_LIMIT, maxPrebuiltLists: DEFAULT_FREE_PREBUILT_LIMIT, maxSchedules: 1, nuclearMaxMinutes: 60, historyDays: 7 },
@@ -1463,6 +2158,8 @@ async function init() {
     if (changes.todayStats) {
       state.stats = changes.todayStats.newValue;
       needsRerender = true;
+      // Time budget and visit limit usage live in todayStats
+      renderBlocklistTab(els, state);
     }
     if (changes.streak) {
       state.streak = changes.streak.newValue;
@@ -1472,6 +2169,21 @@ async function init() {
       state.blocklist = changes.blocklist.newValue;
       renderBlocklistTab(els, state);
     }
+    if (changes.allowlist) {
+      state.allowlist = changes.allowlist.newValue;
+      renderBlocklistTab(els, state);
+    }
+    if (changes.siteOptions) {
+      state.siteOptions = changes.siteOptions.newValue;
+    }
+    if (changes.siteBudgets) {
+      state.siteBudgets = changes.siteBudgets.newValue;
+      renderBlocklistTab(els, state);
+    }
+    if (changes.siteVisitLimits) {
+      state.siteVisitLimits = changes.siteVisitLimits.newValue;
+      renderBlocklistTab(els, state);
+    }
     if (changes.activePrebuiltLists) {
       state.activePrebuiltLists = changes.activePrebuiltLists.newValue;
       renderBlocklistTab(els, state);
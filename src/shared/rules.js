@@ -0,0 +1,275 @@
+/**
+ * Blocklist rule model for Focus Mode - Blocker.
+ *
+ * Parses blocklist entries into a small rule model, compiles them into
+ * declarativeNetRequest conditions, and matches them against URLs. The
+ * service worker uses the same model for DNR rules and for CHECK_BLOCKED
+ * lookups from the detector content script, so both paths always agree.
+ *
+ * Supported entry forms:
+ *   example.com          — the host and all of its subdomains
+ *   example.com/feed     — the host (and subdomains) under a path prefix
+ *   *.example.com        — subdomains of the host only, not the bare host
+ *   keyword:/shorts/     — any URL containing the text (case-insensitive)
+ *   regex:reddit\.com/r/(all|popular)
+ *                        — any URL matching the regular expression
+ *
+ * Keyword and regex entries compile to DNR regexFilter rules, which the
+ * browser validates (RE2 syntax, memory) and caps per extension. Path
+ * entries' block redirects use one too, to carry the original URL.
+ *
+ * A blocklist entry can redirect to a productive site instead of the block
+ * page; parseRedirectTarget() and isRedirectLoop() validate destinations.
+ */
+
+// Bare domain like "example.com" or "sub.example.co.uk"
+const DOMAIN_REGEX = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+$/;
+
+// Path prefixes may contain any printable URL characters except the DNR
+// urlFilter specials (*, ^, |) which would change the filter's meaning.
+const PATH_REGEX = /^\/[^\s*^|]*$/;
+
+const MAX_ENTRY_LENGTH = 300;
+const MAX_REDIRECT_LENGTH = 2000;
+
+const REGEX_PREFIX = 'regex:';
+const KEYWORD_PREFIX = 'keyword:';
+
+// Keywords are at least 3 characters so one entry can't block nearly every URL
+const KEYWORD_REGEX = /^\S{3,}$/;
+
+/**
+ * Escape a string for literal use inside a regular expression.
+ * @param {string} str
+ * @returns {string}
+ */
+export function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Parse a "regex:" or "keyword:" entry. Regex sources keep their case since
+ * escapes like \D and \d differ; matching is case-insensitive either way.
+ * @param {string} trimmed
+ * @returns {object|null|undefined} entry, null if invalid, undefined if not prefixed
+ */
+function parsePatternEntry(trimmed) {
+  const lower = trimmed.toLowerCase();
+
+  if (lower.startsWith(REGEX_PREFIX)) {
+    const source = trimmed.slice(REGEX_PREFIX.length).trim();
+    if (!source) return null;
+    try {
+      new RegExp(source);
+    } catch (e) {
+      return null;
+    }
+    return { type: 'regex', host: null, path: null, source, pattern: REGEX_PREFIX + source };
+  }
+
+  if (lower.startsWith(KEYWORD_PREFIX)) {
+    const keyword = lower.slice(KEYWORD_PREFIX.length).trim();
+    if (!KEYWORD_REGEX.test(keyword)) return null;
+    return { type: 'keyword', host: null, path: null, keyword, source: escapeRegex(keyword), pattern: KEYWORD_PREFIX + keyword };
+  }
+
+  return undefined;
+}
+
+/**
+ * Parse a user or prebuilt blocklist entry into a rule object.
+ * Strips protocols, a leading www., ports and fragments.
+ * Returns null if the entry is invalid.
+ * @param {string} input
+ * @returns {{ type: 'host'|'path'|'wildcard'|'regex'|'keyword', host: string|null, path: string|null, pattern: string }|null}
+ */
+export function parseEntry(input) {
+  if (!input || typeof input !== 'string') return null;
+
+  const trimmed = input.trim();
+  if (!trimmed || trimmed.length > MAX_ENTRY_LENGTH) return null;
+
+  const patternEntry = parsePatternEntry(trimmed);
+  if (patternEntry !== undefined) return patternEntry;
+
+  let cleaned = trimmed.toLowerCase();
+
+  cleaned = cleaned.replace(/^https?:\/\//, '');
+  cleaned = cleaned.split('#')[0];
+
+  let wildcard = false;
+  if (cleaned.startsWith('*.')) {
+    wildcard = true;
+    cleaned = cleaned.slice(2);
+  } else {
+    cleaned = cleaned.replace(/^www\./, '');
+  }
+
+  // Split host from path/query: the host ends at the first "/" or "?"
+  const boundary = cleaned.search(/[/?]/);
+  let host = boundary === -1 ? cleaned : cleaned.slice(0, boundary);
+  let path = boundary === -1 ? '' : cleaned.slice(boundary);
+
+  host = host.split(':')[0];
+  if (!host || host.length > 253 || !DOMAIN_REGEX.test(host)) return null;
+
+  if (path.startsWith('?')) path = '/' + path;
+  // A bare trailing slash means the whole host
+  if (path === '/') path = '';
+
+  if (wildcard) {
+    // Wildcards target subdomains; a path would need a regex per entry
+    if (path) return null;
+    return { type: 'wildcard', host, path: null, pattern: '*.' + host };
+  }
+
+  if (path) {
+    if (!PATH_REGEX.test(path)) return null;
+    return { type: 'path', host, path, pattern: host + path };
+  }
+
+  return { type: 'host', host, path: null, pattern: host };
+}
+
+/**
+ * Compile a parsed entry into a declarativeNetRequest condition fragment
+ * (urlFilter or regexFilter). Callers add resourceTypes.
+ * @param {object} entry — result of parseEntry()
+ * @returns {{ urlFilter?: string, regexFilter?: string }}
+ */
+export function compileCondition(entry) {
+  switch (entry.type) {
+    case 'regex':
+    case 'keyword':
+      // Span the whole URL so a redirect's \0 substitution carries the
+      // original URL to the block page; DNR regexFilter is an unanchored
+      // search, so the wrapper does not change what matches
+      return { regexFilter: '^.*(?:' + entry.source + ').*$' };
+    case 'path':
+      return { urlFilter: '||' + entry.host + entry.path };
+    case 'wildcard':
+      // At least one label before the host, then a port, path or end of URL
+      return {
+        regexFilter: '^[a-z][a-z0-9+.-]*://([^/?#@]+\\.)' + escapeRegex(entry.host) + '(:[0-9]+)?([/?#]|$)'
+      };
+    case 'host':
+    default:
+      // "^" stops "cnn.com" from also matching "cnn.community"
+      return { urlFilter: '||' + entry.host + '^' };
+  }
+}
+
+/**
+ * Compile a path entry into a regexFilter matching the same URLs as its
+ * urlFilter, so a redirect's \0 substitution can pass the original URL on.
+ * @param {object} entry — result of parseEntry() with type 'path'
+ * @returns {{ regexFilter: string }}
+ */
+export function compilePathRegex(entry) {
+  return {
+    regexFilter: '^[a-z][a-z0-9+.-]*://([^/?#@]+\\.)?' + escapeRegex(entry.host) + escapeRegex(entry.path) + '.*$'
+  };
+}
+
+/**
+ * Check whether a hostname is the given host or one of its subdomains.
+ * @param {string} hostname
+ * @param {string} host
+ * @returns {boolean}
+ */
+function isHostOrSubdomain(hostname, host) {
+  return hostname === host || hostname.endsWith('.' + host);
+}
+
+/**
+ * Check whether a URL is matched by a parsed entry. Mirrors the semantics of
+ * compileCondition() so the detector fallback blocks exactly what DNR blocks.
+ * @param {object} entry — result of parseEntry()
+ * @param {URL} url
+ * @returns {boolean}
+ */
+export function matchesEntry(entry, url) {
+  const hostname = url.hostname.toLowerCase().replace(/\.$/, '');
+
+  switch (entry.type) {
+    case 'host':
+      return isHostOrSubdomain(hostname, entry.host);
+    case 'path':
+      return isHostOrSubdomain(hostname, entry.host) &&
+        (url.pathname + url.search).toLowerCase().startsWith(entry.path);
+    case 'wildcard':
+      return hostname.endsWith('.' + entry.host);
+    case 'keyword':
+      return url.href.toLowerCase().includes(entry.keyword);
+    case 'regex':
+      try {
+        return new RegExp(entry.source, 'i').test(url.href);
+      } catch (e) {
+        return false;
+      }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Parse a list of entries, dropping invalid ones and duplicates.
+ * @param {string[]} entries
+ * @returns {object[]}
+ */
+export function parseEntries(entries) {
+  const seen = new Set();
+  const parsed = [];
+  for (const raw of entries || []) {
+    const entry = parseEntry(raw);
+    if (entry && !seen.has(entry.pattern)) {
+      seen.add(entry.pattern);
+      parsed.push(entry);
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Find the first entry in a parsed list that matches a URL.
+ * @param {object[]} entries
+ * @param {URL} url
+ * @returns {object|null}
+ */
+export function findMatchingEntry(entries, url) {
+  return entries.find(entry => matchesEntry(entry, url)) || null;
+}
+
+/**
+ * Parse a redirect destination. A missing protocol means https; only
+ * http(s) URLs are allowed.
+ * @param {string} input
+ * @returns {URL|null}
+ */
+export function parseRedirectTarget(input) {
+  if (!input || typeof input !== 'string') return null;
+
+  const trimmed = input.trim();
+  if (!trimmed || trimmed.length > MAX_REDIRECT_LENGTH) return null;
+
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:/i.test(trimmed) ? trimmed : 'https://' + trimmed);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    if (!DOMAIN_REGEX.test(url.hostname)) return null;
+    return url;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Check whether redirecting to a URL would land on another blocked page,
+ * looping the browser between block rules.
+ * @param {URL} url
+ * @param {object[]} blockedEntries — parsed blocklist
+ * @param {object[]} [exceptionEntries] — parsed allowlist, which wins over blocks
+ * @returns {boolean}
+ */
+export function isRedirectLoop(url, blockedEntries, exceptionEntries = []) {
+  return !!findMatchingEntry(blockedEntries, url) && !findMatchingEntry(exceptionEntries, url);
+}
@@ -0,0 +1,134 @@
+/**
+ * Schedule evaluator for Focus Mode - Blocker.
+ *
+ * Pure functions over a schedule and a Date, with no chrome.* access, so
+ * the service worker and the options page agree on when a schedule runs.
+ *
+ * A schedule runs on its `days` (0 = Sunday) during each of its `ranges`:
+ *   { start: '09:00', end: '12:00' }  — a window within one day
+ *   { start: '22:00', end: '02:00' }  — an overnight window; it belongs to
+ *                                       the day it starts on
+ * Dates listed in `exceptions` ('YYYY-MM-DD', e.g. holidays) are skipped:
+ * no window starts on them.
+ */
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// How far ahead getNextScheduleStart() looks, past any run of exceptions
+const MAX_LOOKAHEAD_DAYS = 366;
+
+/**
+ * Whether a string is a 24-hour 'HH:MM' time.
+ * @param {string} time
+ * @returns {boolean}
+ */
+export function isValidTime(time) {
+  return typeof time === 'string' && TIME_REGEX.test(time);
+}
+
+/**
+ * Whether a string is a real calendar date in 'YYYY-MM-DD' form.
+ * @param {string} date
+ * @returns {boolean}
+ */
+export function isValidDate(date) {
+  if (typeof date !== 'string' || !DATE_REGEX.test(date)) return false;
+  const [year, month, day] = date.split('-').map(Number);
+  const parsed = new Date(year, month - 1, day);
+  return parsed.getFullYear() === year && parsed.getMonth() === month - 1 && parsed.getDate() === day;
+}
+
+/**
+ * The local 'YYYY-MM-DD' date of a Date.
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toDateKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Convert an 'HH:MM' time to a Date on `day`, `dayOffset` days later.
+ * @param {Date} day
+ * @param {string} time
+ * @param {number} [dayOffset]
+ * @returns {Date}
+ */
+function atTime(day, time, dayOffset = 0) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate() + dayOffset, hours, minutes);
+}
+
+/**
+ * The windows of a schedule that start on a given day.
+ * @param {object} schedule
+ * @param {Date} day
+ * @returns {Array<{ start: number, end: number }>}
+ */
+function getWindowsStartingOn(schedule, day) {
+  if (!schedule.days.includes(day.getDay())) return [];
+  if ((schedule.exceptions || []).includes(toDateKey(day))) return [];
+
+  return schedule.ranges.map(range => ({
+    start: atTime(day, range.start).getTime(),
+    // An end at or before the start is on the next day
+    end: atTime(day, range.end, range.end <= range.start ? 1 : 0).getTime()
+  }));
+}
+
+/**
+ * The schedule window open at `now`, if any. Overlapping windows merge into
+ * one spanning all of them.
+ * @param {object} schedule
+ * @param {Date} now
+ * @returns {{ start: number, end: number }|null}
+ */
+export function getScheduleWindow(schedule, now) {
+  const time = now.getTime();
+  const open = [];
+
+  // Yesterday's overnight windows can still be open
+  for (const dayOffset of [-1, 0]) {
+    const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + dayOffset);
+    for (const span of getWindowsStartingOn(schedule, day)) {
+      if (span.start <= time && time < span.end) open.push(span);
+    }
+  }
+
+  if (open.length === 0) return null;
+  return {
+    start: Math.min(...open.map(span => span.start)),
+    end: Math.max(...open.map(span => span.end))
+  };
+}
+
+/**
+ * Whether an enabled schedule has a window open at `now`.
+ * @param {object} schedule
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export function isScheduleActive(schedule, now) {
+  return schedule.enabled === true && getScheduleWindow(schedule, now) !== null;
+}
+
+/**
+ * When the schedule's next window opens after `now`, or null if it never
+ * does within a year.
+ * @param {object} schedule
+ * @param {Date} now
+ * @returns {number|null}
+ */
+export function getNextScheduleStart(schedule, now) {
+  const time = now.getTime();
+
+  for (let dayOffset = 0; dayOffset <= MAX_LOOKAHEAD_DAYS; dayOffset++) {
+    const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + dayOffset);
+    const starts = getWindowsStartingOn(schedule, day)
+      .map(span => span.start)
+      .filter(start => start > time);
+    if (starts.length > 0) return Math.min(...starts);
+  }
+  return null;
+}
@@ -3,13 +3,32 @@
  * Centralizes all chrome.storage operations with defaults and type safety.
  */
 
+import { toDateKey } from './schedule.js';
+
 const DEFAULTS = {
   // Blocklist
   blocklist: [],
+  allowlist: [],           // Site patterns exempt from blocking (outrank the blocklist)
+  whitelist: [],           // Work site patterns left reachable in whitelist mode
+  siteOptions: {},         // { [pattern]: { blockEmbeds, blockRequests, speedBump, redirectTo, challenge } } for blocklist entries
+  siteBudgets: {},         // { [pattern]: minutes } daily time allowance per site
+  siteVisitLimits: {},     // { [pattern]: visits } daily visit allowance per site
+  overrides: {},           // { [domain]: expiresAt } for temporary block overrides
+  overrideLog: [],         // [{ domain, intention, at }] recent overrides, newest last
+  overrideCooldowns: {},   // { [domain]: timestamp } when a domain can next be overridden
+  ruleIds: {},             // { dynamic|session: { [ruleKey]: DNR rule id } }, stable across syncs
+  nextRuleId: 1,           // Next unused DNR rule id
   activePrebuiltLists: [],
+  nuclearSnapshot: null,   // { blocklist, activePrebuiltLists } taken when nuclear mode starts
+  lastScheduledNuclear: null, // start timestamp of the last schedule window that ran nuclear mode
+  recentDurations: [],     // Custom focus lengths (minutes) last started from the popup, newest first
 
   // Timer / Session
-  timerState: null, // { status: 'focus'|'break'|'idle', remaining: seconds, duration: seconds, startedAt: timestamp, cycle: number }
+  timerState: null, // { status: 'focus'|'break'|'idle', remaining: seconds, duration: seconds, startedAt: timestamp, cycle: number, whitelistMode: boolean,
+                    //   flowtime: counts up until finished (duration is then the cap),
+                    //   pausedAt: timestamp|null, pausedMs: ms of finished pauses, pauseCount: number, pauseBlocking: boolean,
+                    //   extendedSeconds: time added by extensions, recordedSeconds: time recorded before a reopened session,
+                    //   lastFocus: the focus session a break follows, so it can still be extended }
   sessionHistory: [],
 
   // Stats
@@ -19,6 +38,9 @@ const DEFAULTS = {
     sessionsCompleted: 0,
     totalAttempts: 0,
     sitesBlocked: {},
+    budgetUsed: {},        // { [pattern]: seconds } spent today on budgeted sites
+    visitsUsed: {},        // { [pattern]: count } visits today to visit-limited sites
+    overrideCount: 0,      // Overrides granted today, for the daily override quota
     focusScore: 0
   },
 
@@ -35,10 +57,20 @@ const DEFAULTS = {
     selectedSound: 'rain',
     volume: 70,
     notificationMuting: true,
-    schedule: null, // { days: [0-6], startTime: 'HH:MM', endTime: 'HH:MM', enabled: false }
-    nuclearMode: null // { active: false, endsAt: null }
+    durationPresets: [], // Saved focus lengths (minutes) offered in the popup (Pro)
+    timerProfile: null, // { focusDuration, shortBreakDuration, longBreakDuration (minutes), cyclesToLongBreak, blockWhilePaused }; null uses 25/5/15/4, blocking
+    // [{ id, name, enabled, days: [0-6], ranges: [{ start: 'HH:MM', end: 'HH:MM' }],
+    //    exceptions: ['YYYY-MM-DD'], nuclear, sites: [patterns], prebuiltLists: [list ids], useBlocklist }]
+    schedules: [],
+    overridePolicy: null, // { maxPerDay: 0 (no limit), cooldownMinutes: 0, escalatingWait: false, challenge: null }
+    blockIncognito: false, // Close incognito tabs during focus sessions and nuclear mode
+    nuclearMode: null // { active: false, endsAt: null, whitelistMode: false, scheduleId: null }
   },
 
+  // Settings lock: { method: 'password'|'partner', salt, hash, iterations } or null.
+  // Only a PBKDF2 hash of the password or partner code is kept.
+  settingsLock: null,
+
   // Pro status
   isPro: false,
 
@@ -127,13 +159,34 @@ async function isUsageStatsEnabled() {
   }
 }
 
+// Every todayStats write is a read-modify-write of the whole object, and the
+// service worker records distractions, budget time and visits from separate
+// events, so they run one at a time
+let statsChain = Promise.resolve();
+
+function queueStatsUpdate(task) {
+  const run = statsChain.then(task);
+  statsChain = run.catch(() => {});
+  return run;
+}
+
 /**
  * Get today's stats, creating fresh stats if the date has changed.
  * @returns {Promise<object>}
  */
 export async function getTodayStats() {
+  return queueStatsUpdate(readTodayStats);
+}
+
+/**
+ * Today's stats, reset first if the date has changed. Only call this inside
+ * queueStatsUpdate().
+ * @returns {Promise<object>}
+ */
+async function readTodayStats() {
   const { todayStats } = await getStorage('todayStats');
-  const today = new Date().toISOString().split('T')[0];
+  // Local date, so daily limits reset at the user's midnight
+  const today = toDateKey(new Date());
 
   if (todayStats.date !== today) {
     const fresh = {
@@ -159,17 +212,71 @@ export async function recordDistraction(domain) {
     return await getTodayStats(); // Return current stats without modifying
   }
 
-  const stats = await getTodayStats();
-  stats.totalAttempts += 1;
-  stats.sitesBlocked[domain] = (stats.sitesBlocked[domain] || 0) + 1;
-  // DATA: Updates distraction count for blocked domain. Automatic during blocking. Not transmitted.
-  await setStorage({ todayStats: stats });
-  return stats;
+  return queueStatsUpdate(async () => {
+    const stats = await readTodayStats();
+    stats.totalAttempts += 1;
+    stats.sitesBlocked[domain] = (stats.sitesBlocked[domain] || 0) + 1;
+    // DATA: Updates distraction count for blocked domain. Automatic during blocking. Not transmitted.
+    await setStorage({ todayStats: stats });
+    return stats;
+  });
+}
+
+/**
+ * Add time spent on a budgeted site to today's usage.
+ * Not gated by the usage-stats preference: budgets need it to enforce limits.
+ * @param {string} pattern - siteBudgets key
+ * @param {number} seconds
+ * @returns {Promise<number>} Seconds used today for the pattern
+ */
+export async function recordBudgetTime(pattern, seconds) {
+  return queueStatsUpdate(async () => {
+    const stats = await readTodayStats();
+    const budgetUsed = { ...(stats.budgetUsed || {}) };
+    budgetUsed[pattern] = (budgetUsed[pattern] || 0) + seconds;
+    stats.budgetUsed = budgetUsed;
+    // DATA: Updates seconds spent on a budgeted site today. Automatic while browsing. Not transmitted.
+    await setStorage({ todayStats: stats });
+    return budgetUsed[pattern];
+  });
+}
+
+/**
+ * Count a visit to a visit-limited site.
+ * Not gated by the usage-stats preference: visit limits need it to enforce limits.
+ * @param {string} pattern - siteVisitLimits key
+ * @returns {Promise<number>} Visits used today for the pattern
+ */
+export async function recordVisit(pattern) {
+  return queueStatsUpdate(async () => {
+    const stats = await readTodayStats();
+    const visitsUsed = { ...(stats.visitsUsed || {}) };
+    visitsUsed[pattern] = (visitsUsed[pattern] || 0) + 1;
+    stats.visitsUsed = visitsUsed;
+    // DATA: Updates the visit count for a visit-limited site today. Automatic while browsing. Not transmitted.
+    await setStorage({ todayStats: stats });
+    return visitsUsed[pattern];
+  });
+}
+
+/**
+ * Count an override granted today.
+ * Not gated by the usage-stats preference: the daily override quota needs it.
+ * @returns {Promise<number>} Overrides granted today
+ */
+export async function recordOverride() {
+  return queueStatsUpdate(async () => {
+    const stats = await readTodayStats();
+    stats.overrideCount = (stats.overrideCount || 0) + 1;
+    // DATA: Updates today's override count. User-initiated. Not transmitted.
+    await setStorage({ todayStats: stats });
+    return stats.overrideCount;
+  });
 }
 
 /**
  * Record a completed focus session.
- * @param {object} session - { duration, focusMinutes, completed }
+ * @param {object} session - { duration, focusMinutes, completed, extendedMinutes? }
  */
 export async function recordSession(session) {
   // Respect the user's usage statistics privacy preference
@@ -177,67 +284,102 @@ export async function recordSession(session) {
   // detailed stats, history, and scores are skipped when disabled.
   const statsEnabled = await isUsageStatsEnabled();
 
-  const stats = await getTodayStats();
-  const { sessionHistory, sessionCount, streak } = await getStorage(['sessionHistory', 'sessionCount', 'streak']);
+  return queueStatsUpdate(async () => {
+    const stats = await readTodayStats();
+    const { sessionHistory, sessionCount, streak } = await getStorage(['sessionHistory', 'sessionCount', 'streak']);
 
-  const newSessionCount = sessionCount + 1;
+    const newSessionCount = sessionCount + 1;
 
-  // If usage stats are disabled, only increment the session count (needed for core features)
-  if (!statsEnabled) {
-    await setStorage({ sessionCount: newSessionCount });
-    return { stats, streak, focusScore: stats.focusScore, newSessionCount };
-  }
+    // If usage stats are disabled, only increment the session count (needed for core features)
+    if (!statsEnabled) {
+      await setStorage({ sessionCount: newSessionCount });
+      return { stats, streak, focusScore: stats.focusScore, newSessionCount };
+    }
 
-  if (session.completed) {
-    stats.sessionsCompleted += 1;
-    stats.focusMinutes += session.focusMinutes;
-  }
+    if (session.completed) {
+      stats.sessionsCompleted += 1;
+      stats.focusMinutes += session.focusMinutes;
+    }
+
+    // Update session history
+    const record = {
+      date: new Date().toISOString(),
+      duration: session.duration,
+      focusMinutes: session.focusMinutes,
+      completed: session.completed,
+      extendedMinutes: session.extendedMinutes || 0,
+      attemptsBlocked: stats.totalAttempts
+    };
 
-  // Update session history
-  const record = {
-    date: new Date().toISOString(),
-    duration: session.duration,
-    focusMinutes: session.focusMinutes,
-    completed: session.completed,
-    attemptsBlocked: stats.totalAttempts
-  };
-
-  const history = [...sessionHistory, record];
-  // Free tier: keep last 7 days
-  const sevenDaysAgo = new Date();
-  sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-  const prunedHistory = history.filter(s => new Date(s.date) >= sevenDaysAgo);
-
-  // Update streak
-  const today = new Date().toISOString().split('T')[0];
-  const updatedStreak = { ...streak };
-  if (session.completed && updatedStreak.lastActiveDate !== today) {
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    const yesterdayStr = yesterday.toISOString().split('T')[0];
-
-    if (updatedStreak.lastActiveDate === yesterdayStr || updatedStreak.current === 0) {
-      updatedStreak.current += 1;
-    } else if (updatedStreak.lastActiveDate !== today) {
-      updatedStreak.current = 1;
+    const history = [...sessionHistory, record];
+    // Free tier: keep last 7 days
+    const sevenDaysAgo = new Date();
+    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+    const prunedHistory = history.filter(s => new Date(s.date) >= sevenDaysAgo);
+
+    // Update streak
+    const today = toDateKey(new Date());
+    const updatedStreak = { ...streak };
+    if (session.completed && updatedStreak.lastActiveDate !== today) {
+      const yesterday = new Date();
+      yesterday.setDate(yesterday.getDate() - 1);
+      const yesterdayStr = toDateKey(yesterday);
+
+      if (updatedStreak.lastActiveDate === yesterdayStr || updatedStreak.current === 0) {
+        updatedStreak.current += 1;
+      } else if (updatedStreak.lastActiveDate !== today) {
+        updatedStreak.current = 1;
+      }
+      updatedStreak.lastActiveDate = today;
     }
-    updatedStreak.lastActiveDate = today;
-  }
 
-  // Calculate Focus Score
-  const focusScore = calculateFocusScore(stats, updatedStreak);
-  stats.focusScore = focusScore;
-
-  // DATA: Updates daily stats, session history, session count, and streak.
-  // Automatic after session completion. Not transmitted externally.
-  await setStorage({
-    todayStats: stats,
-    sessionHistory: prunedHistory,
-    sessionCount: newSessionCount,
-    streak: updatedStreak
+    // Calculate Focus Score
+    const focusScore = calculateFocusScore(stats, updatedStreak);
+    stats.focusScore = focusScore;
+
+    // DATA: Updates daily stats, session history, session count, and streak.
+    // Automatic after session completion. Not transmitted externally.
+    await setStorage({
+      todayStats: stats,
+      sessionHistory: prunedHistory,
+      sessionCount: newSessionCount,
+      streak: updatedStreak
+    });
+
+    return { stats, streak: updatedStreak, focusScore, newSessionCount };
   });
+}
+
+/**
+ * Add focus time to the most recently recorded session, for a session the
+ * user extended after it had already completed.
+ * @param {number} focusMinutes
+ */
+export async function recordSessionExtension(focusMinutes) {
+  if (!(await isUsageStatsEnabled()) || focusMinutes <= 0) return;
+
+  return queueStatsUpdate(async () => {
+    const stats = await readTodayStats();
+    const { sessionHistory, streak } = await getStorage(['sessionHistory', 'streak']);
+
+    stats.focusMinutes += focusMinutes;
+    stats.focusScore = calculateFocusScore(stats, streak);
+
+    const history = [...sessionHistory];
+    const last = history[history.length - 1];
+    if (last) {
+      history[history.length - 1] = {
+        ...last,
+        duration: last.duration + focusMinutes * 60,
+        focusMinutes: last.focusMinutes + focusMinutes,
+        extendedMinutes: (last.extendedMinutes || 0) + focusMinutes
+      };
+    }
 
-  return { stats, streak: updatedStreak, focusScore, newSessionCount };
+    // DATA: Updates daily stats and the last session history record.
+    // Automatic after an extended session. Not transmitted externally.
+    await setStorage({ todayStats: stats, sessionHistory: history });
+  });
 }
 
 /**
@@ -268,30 +410,89 @@ function calculateFocusScore(stats, streak) {
   return Math.max(0, Math.min(100, score));
 }
 
+/**
+ * Sites of the given prebuilt lists.
+ * @param {Iterable<string>} listIds
+ * @returns {Promise<string[]>}
+ */
+async function getPrebuiltSites(listIds) {
+  const ids = [...new Set(listIds)];
+  if (ids.length === 0) return [];
+
+  try {
+    const response = await fetch(chrome.runtime.getURL('src/data/blocklists.json'));
+    const lists = await response.json();
+    return ids.flatMap(listId => (lists[listId] && lists[listId].sites) || []);
+  } catch (e) {
+    console.error('Failed to load prebuilt blocklists:', e);
+    return [];
+  }
+}
+
 /**
  * Get the full blocklist (manual + active prebuilt lists).
  * @returns {Promise<string[]>} Array of domains to block
  */
 export async function getFullBlocklist() {
-  const { blocklist, activePrebuiltLists } = await getStorage(['blocklist', 'activePrebuiltLists']);
+  const { blocklist, activePrebuiltLists, nuclearSnapshot } = await getStorage(['blocklist', 'activePrebuiltLists', 'nuclearSnapshot']);
 
-  let allSites = [...blocklist];
+  // While nuclear mode runs, everything blocked when it started stays blocked
+  const allSites = [
+    ...blocklist,
+    ...(nuclearSnapshot ? nuclearSnapshot.blocklist : []),
+    ...await getPrebuiltSites([...activePrebuiltLists, ...(nuclearSnapshot ? nuclearSnapshot.activePrebuiltLists : [])])
+  ];
 
-  if (activePrebuiltLists.length > 0) {
-    try {
-      const response = await fetch(chrome.runtime.getURL('src/data/blocklists.json'));
-      const lists = await response.json();
+  // Deduplicate
+  return [...new Set(allSites)];
+}
 
-      for (const listId of activePrebuiltLists) {
-        if (lists[listId] && lists[listId].sites) {
-          allSites = [...allSites, ...lists[listId].sites];
-        }
-      }
-    } catch (e) {
-      console.error('Failed to load prebuilt blocklists:', e);
-    }
+/**
+ * The schedules in settings, in their current shape. Settings saved before
+ * schedules became a list hold a single `schedule`, which becomes one
+ * schedule that blocks the main blocklist; schedules saved before ranges
+ * hold a single startTime/endTime.
+ * @param {object} settings
+ * @returns {object[]}
+ */
+export function getSchedules(settings) {
+  let schedules = [];
+  if (Array.isArray(settings.schedules)) {
+    schedules = settings.schedules;
+  } else if (settings.schedule) {
+    schedules = [{ id: 'default', name: 'Schedule', ...settings.schedule, useBlocklist: true }];
+  }
+
+  return schedules.map(schedule => ({
+    id: schedule.id,
+    name: schedule.name,
+    enabled: schedule.enabled === true,
+    days: schedule.days || [],
+    ranges: schedule.ranges || [{ start: schedule.startTime || '09:00', end: schedule.endTime || '17:00' }],
+    exceptions: schedule.exceptions || [],
+    nuclear: schedule.nuclear === true,
+    sites: schedule.sites || [],
+    prebuiltLists: schedule.prebuiltLists || [],
+    useBlocklist: schedule.useBlocklist === true
+  }));
+}
+
+/**
+ * Everything a set of schedules blocks: each one's own sites and prebuilt
+ * lists, plus the full blocklist for those that use it.
+ * @param {object[]} schedules
+ * @returns {Promise<string[]>}
+ */
+export async function getScheduleBlocklist(schedules) {
+  if (schedules.length === 0) return [];
+
+  const allSites = [
+    ...schedules.flatMap(schedule => schedule.sites || []),
+    ...await getPrebuiltSites(schedules.flatMap(schedule => schedule.prebuiltLists || []))
+  ];
+  if (schedules.some(schedule => schedule.useBlocklist)) {
+    allSites.push(...await getFullBlocklist());
   }
 
-  // Deduplicate
   return [...new Set(allSites)];
 }